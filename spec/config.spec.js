@@ -1,16 +1,27 @@
+import fs from 'fs';
 import path from 'path';
+import { tmpdir } from 'os';
 import { expect } from 'chai';
+import { stub } from 'sinon';
 import { config } from '../src';
-import { readJSONFile } from './../src/utils';
+import * as utils from './../src/utils';
+import { readJSONFile, writeJSONFile } from './../src/utils';
 import utilsStub from './utils-stub';
 import { decrypt } from '../src/crypto';
+import { CURRENT_VERSION } from '../src/migrations';
 
 
 const cryptoSecret = 'CHK`Ya91Hs{me!^8ndwPPaPPxwQ}`';
 
 describe('config', () => {
+  const backupPath = `${utilsStub.TMP_FIXTURE_PATH}.v0.bak`;
+
   utilsStub.getConfigPath.install({ copyFixtureToTemp: true });
 
+  afterEach(() => {
+    if (fs.existsSync(backupPath)) { fs.unlinkSync(backupPath); }
+  });
+
   describe('.prepare', () => {
     it('should include id for those servers without it', async () => {
       const findItem = (data) => data.servers.find((srv) => srv.name === 'without-id');
@@ -46,6 +57,548 @@ describe('config', () => {
         expect(expectedServer).to.eql(actualServer);
       }
     });
+
+    it('should migrate the file keeping a backup of the previous version', async () => {
+      const fixtureBefore = await loadConfig();
+      await config.prepare(cryptoSecret);
+
+      expect((await loadConfig()).version).to.eql(CURRENT_VERSION);
+      expect(await readJSONFile(backupPath)).to.eql(fixtureBefore);
+    });
+
+    it('should report invalid servers without removing them', async () => {
+      const errors = await config.prepare(cryptoSecret);
+      // servers without client are kept as they are
+      expect(errors.map((err) => err.path)).to.include('$.servers[8].client');
+      expect(errors.every((err) => err.repaired === false)).to.eql(true);
+    });
+
+    it('should migrate the legacy ssl values to the ssl settings', async () => {
+      await writeJSONFile(utilsStub.TMP_FIXTURE_PATH, {
+        version: CURRENT_VERSION,
+        servers: [
+          {
+            name: 'secure', client: 'postgresql', host: '10.10.10.10', port: 5432, ssl: true,
+          },
+          {
+            name: 'plain', client: 'mysql', host: '10.10.10.11', port: 3306, ssl: false,
+          },
+        ],
+      });
+
+      const errors = await config.prepare(cryptoSecret);
+
+      expect(errors).to.eql([]);
+      expect((await loadConfig()).servers.map((server) => server.ssl)).to.eql([
+        { mode: 'require' },
+        { mode: 'disable' },
+      ]);
+    });
+
+    describe('given an invalid file', () => {
+      const invalidConfig = {
+        limitQueryDefaultSelectTop: 'a lot',
+        servers: [
+          'garbage',
+          {
+            id: 'c94cbafa-8977-4142-9f34-c84d382d8731',
+            name: 'pg-vm',
+            client: 'postgresql',
+            host: '10.10.10.10',
+            port: 5432,
+            database: 'company',
+          },
+        ],
+      };
+
+      beforeEach(() => writeJSONFile(utilsStub.TMP_FIXTURE_PATH, invalidConfig));
+
+      it('should throw without changing the file when onInvalid is "throw"', async () => {
+        let error;
+        try {
+          await config.prepare(cryptoSecret, { onInvalid: 'throw' });
+        } catch (err) {
+          error = err;
+        }
+
+        expect(error).to.be.instanceof(config.ConfigValidationError);
+        expect(error.errors.map((err) => err.path)).to.eql([
+          '$.limitQueryDefaultSelectTop',
+          '$.servers[0]',
+        ]);
+        expect(await loadConfig()).to.eql(invalidConfig);
+      });
+
+      it('should repair the file and report the errors by default', async () => {
+        const errors = config.prepareSync(cryptoSecret);
+
+        expect(errors.map((err) => [err.path, err.repaired])).to.eql([
+          ['$.limitQueryDefaultSelectTop', true],
+          ['$.servers[0]', true],
+        ]);
+        const fixtureAfter = await loadConfig();
+        expect(fixtureAfter).to.not.have.property('limitQueryDefaultSelectTop');
+        expect(fixtureAfter.servers).to.eql([
+          { ...invalidConfig.servers[1], ssl: { mode: 'disable' }, encrypted: true },
+        ]);
+      });
+    });
+  });
+
+  describe('.get', () => {
+    const fallbackPath = `${utilsStub.TMP_FIXTURE_PATH}.bak`;
+
+    afterEach(() => {
+      if (fs.existsSync(fallbackPath)) { fs.unlinkSync(fallbackPath); }
+    });
+
+    it('should load the backup when the file is corrupted', async () => {
+      const fixture = await loadConfig();
+      await writeJSONFile(utilsStub.TMP_FIXTURE_PATH, { servers: [] });
+      fs.writeFileSync(utilsStub.TMP_FIXTURE_PATH, '{ "servers": [');
+
+      expect(await config.get()).to.eql(fixture);
+      expect(config.getSync()).to.eql(fixture);
+    });
+
+    it('should throw when the file is corrupted and there is no backup', async () => {
+      fs.writeFileSync(utilsStub.TMP_FIXTURE_PATH, '{ "servers": [');
+      if (fs.existsSync(fallbackPath)) { fs.unlinkSync(fallbackPath); }
+
+      expect(() => config.getSync()).to.throw(SyntaxError);
+    });
+  });
+
+  describe('layers', () => {
+    const systemPath = path.join(tmpdir(), `sqlectron-system-${process.pid}.json`);
+    const projectPath = path.join(tmpdir(), `sqlectron-project-${process.pid}.json`);
+
+    beforeEach(async () => {
+      await writeJSONFile(systemPath, {
+        resultItemsPerPage: 10,
+        limitQueryDefaultSelectTop: 50,
+        servers: [{ name: 'team', client: 'postgresql', host: 'team.example.com', port: 5432, ssl: false }],
+      });
+      await writeJSONFile(projectPath, {
+        limitQueryDefaultSelectTop: 200,
+        servers: [{ id: 'project-server', name: 'project', client: 'sqlite', database: 'app.db' }],
+      });
+      stub(utils, 'getSystemConfigPath').returns(systemPath);
+      stub(utils, 'getProjectConfigPath').returns(projectPath);
+    });
+
+    afterEach(() => {
+      utils.getSystemConfigPath.restore();
+      utils.getProjectConfigPath.restore();
+      delete process.env.SQLECTRON_SETTING_RESULT_ITEMS_PER_PAGE;
+      [systemPath, projectPath].forEach((filename) => {
+        [filename, utils.getBackupPath(filename), `${filename}.v0.bak`]
+          .filter((file) => fs.existsSync(file))
+          .forEach((file) => fs.unlinkSync(file));
+      });
+    });
+
+    it('should list the layers', () => {
+      expect(config.getLayers()).to.eql([
+        { name: 'system', path: systemPath, writable: false },
+        { name: 'user', path: utilsStub.TMP_FIXTURE_PATH, writable: true },
+        { name: 'project', path: projectPath, writable: true },
+        { name: 'env', path: null, writable: false },
+      ]);
+    });
+
+    it('should merge the layers recording their origin', async () => {
+      process.env.SQLECTRON_SETTING_RESULT_ITEMS_PER_PAGE = '100';
+      const userData = await loadConfig();
+
+      const { data, origins } = await config.getLayered();
+
+      expect(data).to.include({ resultItemsPerPage: 100, limitQueryDefaultSelectTop: 200 });
+      expect(origins.settings).to.include({ resultItemsPerPage: 'env', limitQueryDefaultSelectTop: 'project' });
+      expect(data.servers).to.have.length(userData.servers.length + 2);
+      expect(data.servers[0]).to.include({ id: 'system:0', name: 'team' });
+      expect(origins.servers).to.include({ 'system:0': 'system', 'project-server': 'project' });
+    });
+
+    it('should only merge the known settings of the shared layers', async () => {
+      await writeJSONFile(projectPath, {
+        limitQueryDefaultSelectTop: 200,
+        disableHistory: true,
+        allowProjectPlaceholders: true,
+        secretStore: { type: 'file', path: '/tmp/secrets.json' },
+        snippets: [{ id: 'snippet', name: 'snippet', query: 'SELECT 1' }],
+        servers: [],
+      });
+
+      const { data, origins } = await config.getLayered();
+
+      expect(data).to.include({ limitQueryDefaultSelectTop: 200 });
+      expect(data).to.not.have.any.keys('disableHistory', 'allowProjectPlaceholders', 'secretStore', 'snippets');
+      expect(origins.settings).to.have.all.keys('resultItemsPerPage', 'limitQueryDefaultSelectTop');
+    });
+
+    it('should save the settings in the requested layer', async () => {
+      await config.saveSettings({ resultItemsPerPage: 25 }, { layer: 'project' });
+
+      expect(await config.get({ layer: 'project' })).to.include({ resultItemsPerPage: 25 });
+      expect(await loadConfig()).to.not.have.property('resultItemsPerPage');
+    });
+
+    it('should not write the read only layers', async () => {
+      let error;
+      try {
+        await config.saveSettings({ resultItemsPerPage: 25 }, { layer: 'system' });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceof(config.ReadOnlyLayerError);
+    });
+
+    it('should only write the project file when a migration changes it', async () => {
+      await writeJSONFile(projectPath, { servers: [{ name: 'project', client: 'sqlite', database: 'app.db' }] });
+
+      const errors = await config.prepare(cryptoSecret);
+
+      expect(errors.every((error) => error.layer === 'user')).to.eql(true);
+      expect(await readJSONFile(projectPath)).to.eql({
+        version: 2,
+        servers: [{ name: 'project', client: 'sqlite', database: 'app.db', ssl: false }],
+      });
+      expect(await readJSONFile(`${projectPath}.v0.bak`)).to.eql({
+        servers: [{ name: 'project', client: 'sqlite', database: 'app.db' }],
+      });
+      expect(await readJSONFile(systemPath)).to.not.have.property('revision');
+    });
+
+    it('should not rewrite the project file', async () => {
+      const project = {
+        version: 2,
+        servers: [{
+          name: 'project', client: 'postgresql', host: 'db.example.com', ssl: false, password: 'password',
+        }],
+      };
+      await writeJSONFile(projectPath, project);
+      const listFiles = () => fs.readdirSync(tmpdir())
+        .filter((file) => file.startsWith(path.basename(projectPath)));
+      const files = listFiles();
+
+      await config.prepare(cryptoSecret);
+
+      expect(await readJSONFile(projectPath)).to.eql(project);
+      expect(listFiles()).to.eql(files);
+      expect((await config.getLayered()).origins.servers).to.include({ 'project:0': 'project' });
+    });
+
+    it('should report the errors of the project file without repairing it', async () => {
+      const project = { version: 2, resultItemsPerPage: 0, servers: [] };
+      await writeJSONFile(projectPath, project);
+
+      const errors = await config.prepare(cryptoSecret);
+
+      expect(errors.filter((error) => error.layer === 'project').map((error) => error.repaired))
+        .to.eql([false]);
+      expect(await readJSONFile(projectPath)).to.eql(project);
+    });
+  });
+
+  describe('.save', () => {
+    it('should save data loaded from the latest revision', async () => {
+      const data = await config.get();
+      const saved = await config.save({ ...data, resultItemsPerPage: 10 });
+
+      expect(saved.revision).to.eql(1);
+      expect(await loadConfig()).to.eql({ ...data, resultItemsPerPage: 10, revision: 1 });
+    });
+
+    it('should reject data loaded from an outdated revision', async () => {
+      const data = await config.get();
+      await config.saveSettings({ resultItemsPerPage: 10 });
+
+      let error;
+      try {
+        await config.save({ ...data, limitQueryDefaultSelectTop: 10 });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceof(config.ConfigConflictError);
+      expect(await loadConfig()).to.not.have.property('limitQueryDefaultSelectTop');
+    });
+  });
+
+  describe('.saveSettings', () => {
+    it('should merge the settings into the latest data', async () => {
+      await Promise.all([
+        config.saveSettings({ resultItemsPerPage: 10 }),
+        config.saveSettings({ limitQueryDefaultSelectTop: 10 }),
+      ]);
+
+      expect(await loadConfig()).to.include({
+        resultItemsPerPage: 10,
+        limitQueryDefaultSelectTop: 10,
+        revision: 2,
+      });
+    });
+  });
+
+  describe('settings', () => {
+    afterEach(() => {
+      delete process.env.SQLECTRON_SETTING_RESULT_ITEMS_PER_PAGE;
+    });
+
+    it('should return the default value of the settings not set', async () => {
+      expect(await config.getSetting('resultItemsPerPage')).to.eql(100);
+      expect(await config.getSetting('limitQueryDefaultSelectTop')).to.eql(1000);
+    });
+
+    it('should save and reset a setting', async () => {
+      await config.setSetting('resultItemsPerPage', 20);
+      expect(await config.getSetting('resultItemsPerPage')).to.eql(20);
+      expect(await loadConfig()).to.include({ resultItemsPerPage: 20 });
+
+      await config.resetSetting('resultItemsPerPage');
+      expect(await config.getSetting('resultItemsPerPage')).to.eql(100);
+      expect(await loadConfig()).to.not.have.property('resultItemsPerPage');
+    });
+
+    it('should not save invalid values', async () => {
+      let error;
+      try {
+        await config.setSetting('resultItemsPerPage', 0);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceof(config.ConfigValidationError);
+      expect(error.errors.map((err) => [err.path, err.message])).to.eql([
+        ['$.resultItemsPerPage', 'Value must be at least 1.'],
+      ]);
+      expect(await loadConfig()).to.not.have.property('resultItemsPerPage');
+    });
+
+    it('should reject unknown settings', async () => {
+      const errors = await Promise.all([
+        config.getSetting('unknown'),
+        config.setSetting('unknown', 1),
+        config.resetSetting('unknown'),
+      ].map((promise) => promise.catch((err) => err.message)));
+
+      expect(errors).to.eql(['Unknown setting: unknown', 'Unknown setting: unknown', 'Unknown setting: unknown']);
+    });
+
+    it('should only save the user only settings in the user layer', async () => {
+      let error;
+      try {
+        await config.setSetting('allowProjectPlaceholders', true, { layer: 'project' });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.eql('The allowProjectPlaceholders setting can only be saved in the user configuration');
+    });
+
+    it('should use the default value instead of an invalid one', async () => {
+      process.env.SQLECTRON_SETTING_RESULT_ITEMS_PER_PAGE = 'many';
+
+      expect(await config.getSetting('resultItemsPerPage')).to.eql(100);
+    });
+  });
+
+  describe('profiles', () => {
+    let profilesPath;
+
+    beforeEach(() => {
+      profilesPath = fs.mkdtempSync(path.join(tmpdir(), 'sqlectron-profiles-'));
+      stub(utils, 'getProfilesPath').returns(profilesPath);
+      stub(utils, 'getProfileConfigPath').callsFake((name) => (
+        name === 'default' ? utilsStub.TMP_FIXTURE_PATH : path.join(profilesPath, name, 'sqlectron.json')
+      ));
+      utils.getConfigPath.restore();
+      stub(utils, 'getConfigPath').callsFake(() => utils.getProfileConfigPath(utils.getProfile()));
+    });
+
+    afterEach(async () => {
+      utils.setProfile(null);
+      utils.getProfilesPath.restore();
+      utils.getProfileConfigPath.restore();
+      await utils.removeDirectory(profilesPath);
+    });
+
+    it('should create and list the profiles', async () => {
+      await config.createProfile('client-b');
+      await config.createProfile('client-a');
+
+      expect(await config.listProfiles()).to.eql([
+        { name: 'default', path: utilsStub.TMP_FIXTURE_PATH, active: true },
+        { name: 'client-a', path: path.join(profilesPath, 'client-a', 'sqlectron.json'), active: false },
+        { name: 'client-b', path: path.join(profilesPath, 'client-b', 'sqlectron.json'), active: false },
+      ]);
+    });
+
+    it('should not create invalid or existing profiles', async () => {
+      await config.createProfile('client-a');
+
+      const errors = await Promise.all(['client-a', 'default', '../client', ''].map(async (name) => {
+        try {
+          await config.createProfile(name);
+        } catch (err) {
+          return err.message;
+        }
+        return null;
+      }));
+
+      expect(errors).to.eql([
+        'Profile already exists: client-a',
+        'Profile already exists: default',
+        'Invalid profile name: ../client. Use letters, numbers, ".", "_" and "-"',
+        'Invalid profile name: . Use letters, numbers, ".", "_" and "-"',
+      ]);
+    });
+
+    it('should switch to the configuration of the profile', async () => {
+      const switched = [];
+      const unsubscribe = config.subscribe('profile:switched', (name) => switched.push(name));
+      await config.createProfile('client-a');
+
+      await config.switchProfile('client-a');
+      await config.saveSettings({ resultItemsPerPage: 10 });
+      unsubscribe();
+
+      expect(switched).to.eql(['client-a']);
+      expect(utils.getProfile()).to.eql('client-a');
+      expect(await config.get()).to.include({ resultItemsPerPage: 10 }).and.have.property('servers').to.eql([]);
+      expect(await loadConfig()).to.not.have.property('resultItemsPerPage');
+    });
+
+    it('should not switch to a missing profile', async () => {
+      let error;
+      try {
+        await config.switchProfile('client-a');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.eql('Profile not found: client-a');
+      expect(utils.getProfile()).to.eql('default');
+    });
+
+    it('should delete the profile files', async () => {
+      await config.createProfile('client-a');
+
+      await config.deleteProfile('client-a');
+
+      expect(fs.existsSync(path.join(profilesPath, 'client-a'))).to.eql(false);
+      expect((await config.listProfiles()).map((profile) => profile.name)).to.eql(['default']);
+    });
+
+    it('should not delete the default or the active profile', async () => {
+      await config.createProfile('client-a');
+      await config.switchProfile('client-a');
+
+      const errors = await Promise.all(['default', 'client-a'].map(async (name) => {
+        try {
+          await config.deleteProfile(name);
+        } catch (err) {
+          return err.message;
+        }
+        return null;
+      }));
+
+      expect(errors).to.eql([
+        'The default profile can not be deleted',
+        'The active profile can not be deleted, switch to another profile first',
+      ]);
+    });
+  });
+
+  describe('.subscribe', () => {
+    it('should notify changed settings', async () => {
+      const changes = [];
+      const unsubscribe = config.subscribe('settings:changed', (change) => changes.push(change));
+
+      await config.saveSettings({ resultItemsPerPage: 10 });
+      await config.saveSettings({ resultItemsPerPage: 10 });
+      unsubscribe();
+      await config.saveSettings({ resultItemsPerPage: 20 });
+
+      expect(changes).to.eql([{ resultItemsPerPage: 10 }]);
+    });
+  });
+
+  describe('.watch', () => {
+    const unsubscribers = [];
+
+    afterEach(() => {
+      config.unwatch();
+      unsubscribers.splice(0).forEach((unsubscribe) => unsubscribe());
+    });
+
+    it('should notify changes made by other processes', async () => {
+      const fixture = await loadConfig();
+      const removed = fixture.servers.find((srv) => srv.name === 'pg-vm');
+
+      config.watch();
+      const events = new Promise((resolve) => {
+        const result = [];
+        unsubscribers.push(
+          config.subscribe('server:removed', (server) => result.push(['server:removed', server])),
+          config.subscribe('settings:changed', (changes) => {
+            result.push(['settings:changed', changes]);
+            resolve(result);
+          }),
+        );
+      });
+
+      fs.writeFileSync(utilsStub.TMP_FIXTURE_PATH, JSON.stringify({
+        ...fixture,
+        servers: fixture.servers.filter((srv) => srv !== removed),
+        resultItemsPerPage: 10,
+      }));
+
+      expect(await events).to.eql([
+        ['server:removed', removed],
+        ['settings:changed', { resultItemsPerPage: 10 }],
+      ]);
+    });
+  });
+
+  describe('.watch with a missing file', () => {
+    afterEach(() => config.unwatch());
+
+    it('should notify the servers of the file created later', async () => {
+      const fixture = await loadConfig();
+      fs.unlinkSync(utilsStub.TMP_FIXTURE_PATH);
+
+      config.watch();
+      const added = new Promise((resolve) => {
+        const unsubscribe = config.subscribe('server:added', (server) => {
+          unsubscribe();
+          resolve(server);
+        });
+      });
+
+      fs.writeFileSync(utilsStub.TMP_FIXTURE_PATH, JSON.stringify(fixture));
+
+      expect(await added).to.eql(fixture.servers.find((srv) => srv.id));
+    });
+  });
+
+  describe('internal fields', () => {
+    it('should not report the templates, snippets and secret store as settings', async () => {
+      const changes = [];
+      const unsubscribe = config.subscribe('settings:changed', (change) => changes.push(change));
+
+      await config.modify((data) => ({
+        ...data,
+        templates: [],
+        snippets: [],
+        secretStore: { type: 'inline' },
+      }));
+      unsubscribe();
+
+      expect(changes).to.eql([]);
+    });
   });
 
   function loadConfig() {
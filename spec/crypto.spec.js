@@ -0,0 +1,78 @@
+import nodeCrypto from 'crypto';
+import { expect } from 'chai';
+import * as sinon from 'sinon';
+import * as crypto from '../src/crypto';
+
+const cryptoSecret = 'CHK`Ya91Hs{me!^8ndwPPaPPxwQ}`';
+
+describe('crypto', () => {
+  describe('.encrypt', () => {
+    it('should encrypt with a versioned envelope', () => {
+      const encrypted = crypto.encrypt('password', cryptoSecret);
+
+      expect(encrypted).to.have.keys(['version', 'salt', 'ivText', 'authTag', 'encryptedText']);
+      expect(encrypted.version).to.eql(crypto.ENVELOPE_VERSION);
+      expect(crypto.decrypt(encrypted, cryptoSecret)).to.eql('password');
+    });
+
+    it('should use a different IV for each value and derive one key by secret', () => {
+      const first = crypto.encrypt('password', cryptoSecret);
+      const second = crypto.encrypt('password', cryptoSecret);
+      const other = crypto.encrypt('password', 'other secret');
+
+      expect(first.ivText).to.not.eql(second.ivText);
+      expect(first.encryptedText).to.not.eql(second.encryptedText);
+      expect(first.salt).to.eql(second.salt);
+      expect(first.salt).to.not.eql(other.salt);
+    });
+
+    it('should not derive the key again for each value', () => {
+      const secret = 'a secret never used before';
+      const scrypt = sinon.spy(nodeCrypto, 'scryptSync');
+      try {
+        const values = Array.from({ length: 150 }, (_, index) => crypto.encrypt(`password${index}`, secret));
+        values.forEach((value, index) => expect(crypto.decrypt(value, secret)).to.eql(`password${index}`));
+      } finally {
+        scrypt.restore();
+      }
+
+      expect(scrypt.callCount).to.eql(1);
+    });
+  });
+
+  describe('.decrypt', () => {
+    it('should fail with a wrong secret', () => {
+      const encrypted = crypto.encrypt('password', cryptoSecret);
+      expect(() => crypto.decrypt(encrypted, 'wrong secret'))
+        .to.throw('Unable to decrypt the value, the secret is wrong or the value is corrupted');
+    });
+
+    it('should fail with a tampered value', () => {
+      const encrypted = crypto.encrypt('password', cryptoSecret);
+      const tampered = { ...encrypted, encryptedText: crypto.encrypt('other', cryptoSecret).encryptedText };
+      expect(() => crypto.decrypt(tampered, cryptoSecret))
+        .to.throw('Unable to decrypt the value');
+    });
+
+    it('should decrypt legacy {ivText, encryptedText} values', () => {
+      const encrypted = {
+        ivText: 'wGf6X9T+QSygOHqtgQPlcA==',
+        encryptedText: '0LySDs9WPAvwSS9Qv+W3/A==',
+      };
+      expect(crypto.decrypt(encrypted, cryptoSecret)).to.eql('password');
+    });
+
+    it('should decrypt legacy hex values', () => {
+      expect(crypto.decrypt('fa1d88ee82bd4439', cryptoSecret)).to.eql('password');
+    });
+  });
+
+  describe('.isLegacy', () => {
+    it('should identify values in the legacy formats', () => {
+      expect(crypto.isLegacy('fa1d88ee82bd4439')).to.eql(true);
+      expect(crypto.isLegacy({ ivText: 'a', encryptedText: 'b' })).to.eql(true);
+      expect(crypto.isLegacy(crypto.encrypt('password', cryptoSecret))).to.eql(false);
+      expect(crypto.isLegacy({ store: 'file', key: 'id:password' })).to.eql(false);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+import net from 'net';
+import { expect } from 'chai';
+import * as sinon from 'sinon';
+import { Database } from 'sqlectron-db-core/database';
+import { servers } from '../src';
+import * as tunnel from '../src/tunnel';
+
+
+describe('diagnostics', () => {
+  const stubs = [];
+
+  // local TCP server answering each connection with the handler
+  function createStub(handler) {
+    return new Promise((resolve) => {
+      const stub = net.createServer((socket) => {
+        socket.on('error', () => {});
+        handler(socket);
+      });
+      stubs.push(stub);
+      stub.listen(0, '127.0.0.1', () => resolve(stub.address().port));
+    });
+  }
+
+  afterEach(() => {
+    stubs.splice(0).forEach((stub) => stub.close());
+  });
+
+  function getStatuses(report) {
+    return report.steps.reduce((result, step) => ({ ...result, [step.name]: step.status }), {});
+  }
+
+  it('should connect to the server and report its version', async () => {
+    const report = await servers.test({ name: 'local', client: 'sqlite', database: ':memory:' });
+
+    expect(report.ok).to.eql(true);
+    expect(getStatuses(report)).to.eql({
+      dns: 'skipped', tcp: 'skipped', ssh: 'skipped', tls: 'skipped', authentication: 'passed', version: 'passed',
+    });
+    expect(report.version.string).to.match(/^SQLite 3\./);
+    expect(report.steps[5].detail).to.eql(report.version.string);
+    expect(report.steps[5].duration).to.be.a('number');
+  });
+
+  it('should report the cause of the failure', async () => {
+    const report = await servers.test({ name: 'local', client: 'sqlite', database: '/sqlectron/missing/app.sqlite' });
+
+    expect(report.ok).to.eql(false);
+    expect(report.version).to.eql(null);
+    expect(report.steps[4]).to.include({
+      name: 'authentication',
+      status: 'failed',
+      code: 'SQLITE_CANTOPEN',
+      cause: 'The database file can not be opened, check its path and permissions.',
+    });
+    expect(report.steps[5]).to.eql({ name: 'version', status: 'skipped', detail: 'The authentication step failed' });
+  });
+
+  it('should report the servers refusing the connection', async () => {
+    const port = await createStub(() => {});
+    stubs.pop().close();
+
+    const report = await servers.test({
+      name: 'pg', client: 'postgresql', host: 'localhost', port, ssl: false,
+    });
+
+    expect(getStatuses(report)).to.include({ dns: 'passed', tcp: 'failed', authentication: 'skipped' });
+    expect(report.steps[1]).to.include({
+      code: 'ECONNREFUSED',
+      cause: 'The connection was refused, check the port and that the server is running.',
+    });
+  });
+
+  it('should report the servers without SSL', async () => {
+    const port = await createStub((socket) => {
+      socket.once('data', () => socket.write('N'));
+    });
+
+    const report = await servers.test({
+      name: 'pg', client: 'postgresql', host: '127.0.0.1', port, ssl: true,
+    });
+
+    expect(getStatuses(report)).to.eql({
+      dns: 'passed', tcp: 'passed', ssh: 'skipped', tls: 'failed', authentication: 'skipped', version: 'skipped',
+    });
+    expect(report.steps[0].detail).to.eql('127.0.0.1 resolved to 127.0.0.1');
+    expect(report.steps[3].cause).to.eql('The server does not support SSL, disable SSL for this server.');
+  });
+
+  it('should skip the SSL handshake of the servers without SSL in prefer mode', async () => {
+    const port = await createStub((socket) => {
+      socket.once('data', () => socket.write('N'));
+    });
+
+    const report = await servers.test({
+      name: 'pg', client: 'postgresql', host: '127.0.0.1', port, ssl: { mode: 'prefer' },
+    }, undefined, { timeout: 500 });
+
+    expect(report.steps[3]).to.eql({
+      name: 'tls',
+      status: 'skipped',
+      detail: 'The server does not support SSL, the connection falls back to an unencrypted one',
+    });
+  });
+
+  it('should read the SSL support in the MySQL greeting', async () => {
+    const port = await createStub((socket) => {
+      // protocol 10, server version, connection id, auth data, filler, capabilities without SSL
+      const payload = Buffer.concat([
+        Buffer.from([10]), Buffer.from('8.0.0\0'), Buffer.alloc(4), Buffer.alloc(8), Buffer.alloc(1),
+        Buffer.from([0xff, 0xf7]),
+      ]);
+      const header = Buffer.from([payload.length, 0, 0, 0]);
+      socket.write(Buffer.concat([header, payload]));
+    });
+
+    const report = await servers.test({
+      name: 'mysql', client: 'mysql', host: '127.0.0.1', port, ssl: true,
+    });
+
+    expect(report.steps[3]).to.include({ name: 'tls', status: 'failed', code: 'ESSLNOTSUPPORTED' });
+  });
+
+  it('should time out the steps', async () => {
+    const port = await createStub(() => {});
+
+    const report = await servers.test({
+      name: 'pg', client: 'postgresql', host: '127.0.0.1', port, ssl: true,
+    }, undefined, { timeout: 100 });
+
+    expect(report.steps[3]).to.include({
+      name: 'tls',
+      status: 'failed',
+      error: 'Timed out after 100ms',
+      cause: 'The server did not respond in time, check the host, the port and the firewall rules.',
+    });
+  });
+
+  it('should report the SSH tunnel failures', async () => {
+    // not the protocol of an SSH server after its identification
+    const port = await createStub((socket) => socket.write('SSH-2.0-stub\r\nHTTP/1.1 400 Bad Request\r\n\r\n'));
+
+    const report = await servers.test({
+      name: 'pg',
+      client: 'postgresql',
+      host: 'db.internal',
+      port: 5432,
+      ssl: false,
+      ssh: { host: '127.0.0.1', port, user: 'admin' },
+    }, undefined, { timeout: 2000 });
+
+    expect(getStatuses(report)).to.include({ tcp: 'passed', ssh: 'failed', authentication: 'skipped' });
+    expect(report.steps[2].cause).to.eql('The SSH handshake failed, check the SSH port is the port of an SSH server.');
+  });
+
+  it('should close the SSH tunnel opened after the timeout', async () => {
+    const port = await createStub(() => {});
+    const lateTunnel = { close: sinon.spy(), on() {} };
+    sinon.stub(tunnel, 'createTunnel')
+      .returns(new Promise((resolve) => setTimeout(() => resolve(lateTunnel), 150)));
+
+    try {
+      const report = await servers.test({
+        name: 'pg',
+        client: 'postgresql',
+        host: 'db.internal',
+        port: 5432,
+        ssl: false,
+        ssh: { host: '127.0.0.1', port, user: 'admin' },
+      }, undefined, { timeout: 50 });
+      await new Promise((resolve) => setTimeout(resolve, 200));
+
+      expect(report.steps[2]).to.include({ name: 'ssh', status: 'failed', error: 'Timed out after 50ms' });
+      expect(lateTunnel.close.calledOnce).to.eql(true);
+    } finally {
+      tunnel.createTunnel.restore();
+    }
+  });
+
+  it('should close the connection opened after the timeout', async () => {
+    const lateConnection = { disconnect: sinon.spy() };
+    sinon.stub(Database.prototype, 'connect').callsFake(function connect() {
+      return new Promise((resolve) => setTimeout(() => {
+        this.connection = lateConnection;
+        resolve();
+      }, 150));
+    });
+
+    try {
+      const report = await servers.test({ name: 'local', client: 'sqlite', database: ':memory:' }, undefined, { timeout: 50 });
+      await new Promise((resolve) => setTimeout(resolve, 200));
+
+      expect(report.steps[4]).to.include({ name: 'authentication', status: 'failed', error: 'Timed out after 50ms' });
+      expect(lateConnection.disconnect.calledOnce).to.eql(true);
+    } finally {
+      Database.prototype.connect.restore();
+    }
+  });
+
+  it('should validate the server', async () => {
+    let error;
+    try {
+      await servers.test({ name: 'pg', client: 'postgresql' });
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error.validationErrors).to.have.property('host');
+  });
+});
@@ -0,0 +1,124 @@
+import fs from 'fs';
+import { dirname, join } from 'path';
+import { expect } from 'chai';
+import { config, history } from '../src';
+import utilsStub from './utils-stub';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('history', () => {
+  utilsStub.getConfigPath.install({ copyFixtureToTemp: true });
+
+  const historyPath = join(dirname(utilsStub.TMP_FIXTURE_PATH), 'sqlectron.history.jsonl');
+
+  afterEach(() => {
+    if (fs.existsSync(historyPath)) { fs.unlinkSync(historyPath); }
+  });
+
+  function writeEntries(entries) {
+    const lines = entries.map((entry) => (typeof entry === 'string' ? entry : JSON.stringify(entry)));
+    fs.writeFileSync(historyPath, lines.map((line) => `${line}\n`).join(''));
+  }
+
+  describe('.add', () => {
+    it('should append the query to the history file', async () => {
+      const entry = await history.add({
+        serverId: 'pg', database: 'app', sql: 'SELECT 1', duration: 12, rowCount: 1,
+      });
+      await history.add({ serverId: 'pg', sql: 'SELECT x', error: new Error('column "x" does not exist') });
+
+      expect(entry).to.include({
+        serverId: 'pg', database: 'app', sql: 'SELECT 1', duration: 12, rowCount: 1, error: null,
+      });
+      expect(entry).to.have.property('id');
+      expect(history.getPath()).to.eql(historyPath);
+      expect(new Date(entry.timestamp).getTime()).to.be.closeTo(Date.now(), 1000);
+
+      const lines = fs.readFileSync(historyPath, 'utf-8').trim().split('\n');
+      expect(lines.map((line) => JSON.parse(line).error)).to.eql([null, 'column "x" does not exist']);
+    });
+
+    it('should redact the literals', async () => {
+      const sql = 'SELECT "user1" FROM t1 WHERE name = \'O\'\'Brien\' AND age > 30 AND id = $1 -- 42';
+
+      const entry = await history.add({ serverId: 'pg', sql }, { redact: true });
+
+      expect(entry.sql).to.eql('SELECT "user1" FROM t1 WHERE name = ? AND age > ? AND id = $1 -- 42');
+    });
+
+    it('should redact the literals with the syntax of the client', async () => {
+      const sql = 'SELECT "name" FROM t WHERE note = \'it\\\'s\' AND id = 7';
+
+      const mysql = await history.add({ serverId: 'mysql', sql }, { redact: true, client: 'mysql' });
+      const pg = await history.add({ serverId: 'pg', sql }, { redact: true, client: 'postgresql' });
+
+      expect(mysql.sql).to.eql('SELECT ? FROM t WHERE note = ? AND id = ?');
+      expect(pg.sql).to.eql('SELECT "name" FROM t WHERE note = ?s?');
+    });
+
+    it('should redact the literals when enabled in the settings', async () => {
+      await config.setSetting('historyRedactLiterals', true);
+
+      const entry = await history.add({ serverId: 'pg', sql: 'SELECT * FROM users WHERE id = 10' });
+
+      expect(entry.sql).to.eql('SELECT * FROM users WHERE id = ?');
+    });
+  });
+
+  describe('.search', () => {
+    beforeEach(() => {
+      writeEntries([
+        { id: '1', serverId: 'pg', sql: 'SELECT * FROM users', timestamp: new Date(Date.now() - (2 * DAY)).toISOString(), error: null },
+        { id: '2', serverId: 'mysql', sql: 'SELECT * FROM orders', timestamp: new Date(Date.now() - DAY).toISOString(), error: null },
+        '{"id": "broken"',
+        { id: '3', serverId: 'pg', sql: 'DELETE FROM Users', timestamp: new Date().toISOString(), error: 'denied' },
+      ]);
+      fs.appendFileSync(historyPath, '{"id": "partial');
+    });
+
+    it('should return the most recent entries first', async () => {
+      const entries = await history.search();
+      expect(entries.map((entry) => entry.id)).to.eql(['3', '2', '1']);
+    });
+
+    it('should filter the entries', async () => {
+      const ids = async (filters) => (await history.search(filters)).map((entry) => entry.id);
+
+      expect(await ids({ text: 'users' })).to.eql(['3', '1']);
+      expect(await ids({ serverId: 'pg' })).to.eql(['3', '1']);
+      expect(await ids({ since: new Date(Date.now() - (DAY + 1000)) })).to.eql(['3', '2']);
+      expect(await ids({ failed: false, limit: 1 })).to.eql(['2']);
+    });
+  });
+
+  describe('.prune', () => {
+    beforeEach(() => {
+      writeEntries([1, 2, 3, 4].map((id) => ({
+        id: String(id), serverId: 'pg', sql: 'SELECT 1', timestamp: new Date(Date.now() - ((5 - id) * DAY)).toISOString(),
+      })));
+    });
+
+    it('should remove the entries older than maxAge', async () => {
+      expect(await history.prune({ maxAge: 2.5 * DAY })).to.eql(2);
+      expect((await history.search()).map((entry) => entry.id)).to.eql(['4', '3']);
+    });
+
+    it('should keep only the maxEntries most recent entries', async () => {
+      expect(await history.prune({ maxEntries: 1 })).to.eql(3);
+      expect((await history.search()).map((entry) => entry.id)).to.eql(['4']);
+    });
+
+    it('should keep the most recent entries fitting in maxSize bytes', async () => {
+      const size = fs.statSync(historyPath).size;
+
+      expect(await history.prune({ maxSize: Math.ceil(size / 2) })).to.eql(2);
+      expect((await history.search()).map((entry) => entry.id)).to.eql(['4', '3']);
+      expect(fs.statSync(historyPath).size).to.be.at.most(Math.ceil(size / 2));
+    });
+
+    it('should clear the history', async () => {
+      await history.clear();
+      expect(await history.search()).to.eql([]);
+    });
+  });
+});
@@ -0,0 +1,250 @@
+import fs from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { expect } from 'chai';
+import { importer, servers } from '../src';
+import * as crypto from './../src/crypto';
+import utilsStub from './utils-stub';
+
+const cryptoSecret = 'CHK`Ya91Hs{me!^8ndwPPaPPxwQ}`';
+
+const PGPASS = [
+  '# comment',
+  'localhost:5432:company:user:pass\\:word',
+  '*:5432:*:user:password',
+  '10.10.10.20:*:*:admin:password',
+  'invalid',
+].join('\n');
+
+const PG_SERVICE = `
+[reporting]
+host=reports.example.com
+port=5433
+dbname=reports
+user=reader
+password=secret
+sslmode=require
+sslrootcert=~/.postgresql/root.crt
+
+[local]
+host=/var/run/postgresql
+dbname=app
+`;
+
+const MY_CNF = `
+[mysqld]
+port=3306
+
+[client]
+user=root
+password="secret"
+socket=/tmp/mysql.sock
+
+[client_staging]
+host = staging.example.com
+user = app
+ssl-mode = REQUIRED
+ssl-ca = /etc/mysql/ca.pem
+`;
+
+const DBEAVER = JSON.stringify({
+  connections: {
+    'postgres-jdbc-1': {
+      provider: 'postgresql',
+      driver: 'postgres-jdbc',
+      name: 'Production',
+      configuration: {
+        host: 'db.example.com',
+        port: '5432',
+        database: 'prod',
+        user: 'admin',
+        handlers: {
+          ssh_tunnel: {
+            enabled: true,
+            user: 'core',
+            properties: { host: 'bastion.example.com', port: 22, keyPath: '~/.ssh/id_rsa' },
+          },
+        },
+      },
+    },
+    'mariadb-1': {
+      provider: 'mysql',
+      driver: 'mariaDB',
+      name: 'MariaDB',
+      configuration: { host: 'maria.example.com', user: 'root' },
+    },
+    'oracle-1': {
+      provider: 'oracle',
+      name: 'Oracle',
+      configuration: { host: 'oracle.example.com' },
+    },
+  },
+});
+
+describe('importer', () => {
+  utilsStub.getConfigPath.install({ copyFixtureToTemp: true });
+
+  const filename = join(tmpdir(), `sqlectron-import-${process.pid}`);
+
+  afterEach(() => {
+    if (fs.existsSync(filename)) { fs.unlinkSync(filename); }
+  });
+
+  function read(format, content) {
+    fs.writeFileSync(filename, content);
+    return importer.read(format, { path: filename });
+  }
+
+  describe('.read', () => {
+    it('should read pgpass entries', async () => {
+      const result = await read('pgpass', PGPASS);
+
+      expect(result.servers).to.eql([
+        {
+          name: 'localhost/company',
+          client: 'postgresql',
+          ssl: { mode: 'disable' },
+          host: 'localhost',
+          port: 5432,
+          database: 'company',
+          user: 'user',
+          password: 'pass:word',
+        },
+        {
+          name: '10.10.10.20',
+          client: 'postgresql',
+          ssl: { mode: 'disable' },
+          host: '10.10.10.20',
+          port: 5432,
+          user: 'admin',
+          password: 'password',
+        },
+      ]);
+      expect(result.skipped).to.eql([
+        { source: 'line 3', reason: 'Entries with a wildcard host can not be imported.' },
+        { source: 'line 5', reason: 'Invalid pgpass entry.' },
+      ]);
+    });
+
+    it('should read pg_service.conf services', async () => {
+      const result = await read('pg_service', PG_SERVICE);
+
+      expect(result.servers).to.eql([
+        {
+          name: 'reporting',
+          client: 'postgresql',
+          ssl: { mode: 'require', ca: '~/.postgresql/root.crt' },
+          host: 'reports.example.com',
+          port: 5433,
+          database: 'reports',
+          user: 'reader',
+          password: 'secret',
+        },
+        {
+          name: 'local',
+          client: 'postgresql',
+          ssl: { mode: 'disable' },
+          socketPath: '/var/run/postgresql',
+          database: 'app',
+        },
+      ]);
+    });
+
+    it('should read my.cnf client groups', async () => {
+      const result = await read('mycnf', MY_CNF);
+
+      expect(result.servers).to.eql([
+        {
+          name: 'client',
+          client: 'mysql',
+          ssl: { mode: 'disable' },
+          socketPath: '/tmp/mysql.sock',
+          user: 'root',
+          password: 'secret',
+        },
+        {
+          name: 'client_staging',
+          client: 'mysql',
+          ssl: { mode: 'require' },
+          host: 'staging.example.com',
+          port: 3306,
+          user: 'app',
+        },
+      ]);
+    });
+
+    it('should skip the my.cnf groups verifying the certificates', async () => {
+      const result = await read('mycnf', MY_CNF.replace('REQUIRED', 'VERIFY_IDENTITY'));
+
+      expect(result.servers.map((server) => server.name)).to.eql(['client']);
+      expect(result.skipped.map((skipped) => skipped.source)).to.eql(['[client_staging]']);
+      expect(result.skipped[0].reason).to.match(/only encrypts the connection: mode verify-full, ca\./);
+    });
+
+    it('should read DBeaver connections', async () => {
+      const result = await read('dbeaver', DBEAVER);
+
+      expect(result.servers.map((server) => server.name)).to.eql(['Production', 'MariaDB']);
+      expect(result.servers[0]).to.include({ client: 'postgresql', port: 5432 });
+      expect(result.servers[0].ssh).to.include({ host: 'bastion.example.com', user: 'core' });
+      expect(result.servers[1]).to.include({ client: 'mariadb', port: 3306 });
+      expect(result.skipped).to.eql([
+        { source: 'connection oracle-1', reason: 'Unsupported DBeaver provider: oracle.' },
+      ]);
+    });
+
+    it('should skip invalid servers', async () => {
+      const result = await read('pg_service', '[empty]\nhost=\nport=abc');
+
+      expect(result.servers).to.eql([]);
+      expect(result.skipped).to.have.length(1);
+      expect(result.skipped[0].source).to.eql('[empty]');
+      expect(result.skipped[0].reason).to.match(/^Invalid server\./);
+    });
+
+    it('should fail on unknown formats', async () => {
+      let error;
+      try {
+        await importer.read('unknown');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.eql('Unknown import format: unknown');
+    });
+  });
+
+  describe('.importFrom', () => {
+    it('should only return the planned servers in a dry run', async () => {
+      const before = await servers.getAll();
+      fs.writeFileSync(filename, PG_SERVICE);
+
+      const result = await importer.importFrom('pg_service', cryptoSecret, { path: filename, dryRun: true });
+
+      expect(result.added.map((server) => server.name)).to.eql(['reporting', 'local']);
+      expect(await servers.getAll()).to.eql(before);
+    });
+
+    it('should add the servers encrypting their passwords', async () => {
+      const before = await servers.getAll();
+      fs.writeFileSync(filename, PG_SERVICE);
+
+      const result = await importer.importFrom('pg_service', cryptoSecret, { path: filename });
+
+      expect(result.added).to.have.length(2);
+      expect(result.added[0]).to.have.property('id');
+      expect(crypto.decrypt(result.added[0].password, cryptoSecret)).to.eql('secret');
+      expect(await servers.getAll()).to.have.length(before.length + 2);
+    });
+
+    it('should skip the connections already added', async () => {
+      fs.writeFileSync(filename, PGPASS);
+      await importer.importFrom('pgpass', cryptoSecret, { path: filename });
+
+      const result = await importer.importFrom('pgpass', cryptoSecret, { path: filename });
+
+      expect(result.added).to.eql([]);
+      expect(result.skipped.map((entry) => entry.reason)).to.include('The connection already exists.');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import fs from 'fs';
+import { hostname, tmpdir } from 'os';
+import { join } from 'path';
+import { expect } from 'chai';
+import { getLockPath, withLock, withLockSync, LockTimeoutError } from '../src/lock';
+
+describe('lock', () => {
+  let dir;
+  let filename;
+  let lockPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(join(tmpdir(), 'sqlectron-'));
+    filename = join(dir, 'sqlectron.json');
+    lockPath = getLockPath(filename);
+  });
+
+  afterEach(() => {
+    fs.readdirSync(dir).forEach((file) => fs.unlinkSync(join(dir, file)));
+    fs.rmdirSync(dir);
+  });
+
+  function createLock(owner) {
+    fs.writeFileSync(lockPath, JSON.stringify(owner));
+  }
+
+  describe('.withLock', () => {
+    it('should hold the lock while running and release it after', async () => {
+      const result = await withLock(filename, async () => {
+        expect(fs.existsSync(lockPath)).to.eql(true);
+        return 'result';
+      });
+
+      expect(result).to.eql('result');
+      expect(fs.existsSync(lockPath)).to.eql(false);
+    });
+
+    it('should release the lock when it fails', async () => {
+      let error;
+      try {
+        await withLock(filename, () => Promise.reject(new Error('failed')));
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.eql('failed');
+      expect(fs.existsSync(lockPath)).to.eql(false);
+    });
+
+    it('should run concurrent calls one at a time', async () => {
+      const calls = [];
+      const run = (name) => withLock(filename, async () => {
+        calls.push(`${name}:start`);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        calls.push(`${name}:end`);
+      });
+
+      await Promise.all([run('a'), run('b')]);
+
+      expect(calls).to.eql(['a:start', 'a:end', 'b:start', 'b:end']);
+    });
+
+    it('should keep the lock held by a long operation', async () => {
+      const calls = [];
+      const run = (name, duration) => withLock(filename, async () => {
+        calls.push(`${name}:start`);
+        await new Promise((resolve) => setTimeout(resolve, duration));
+        calls.push(`${name}:end`);
+      }, { stale: 150 });
+
+      await Promise.all([run('a', 500), run('b', 0)]);
+
+      expect(calls).to.eql(['a:start', 'a:end', 'b:start', 'b:end']);
+    });
+
+    it('should throw when the lock is not released in time', async () => {
+      createLock({ pid: process.pid, hostname: hostname() });
+
+      let error;
+      try {
+        await withLock(filename, () => {}, { timeout: 100 });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceof(LockTimeoutError);
+    });
+
+    it('should recover a lock left by a dead process', async () => {
+      createLock({ pid: 2147483647, hostname: hostname() });
+
+      expect(await withLock(filename, () => 'recovered', { timeout: 100 })).to.eql('recovered');
+    });
+
+    it('should recover an old lock', async () => {
+      createLock({ pid: process.pid, hostname: hostname() });
+      const past = new Date(Date.now() - 60000);
+      fs.utimesSync(lockPath, past, past);
+
+      expect(await withLock(filename, () => 'recovered', { timeout: 100 })).to.eql('recovered');
+    });
+  });
+
+  describe('.withLockSync', () => {
+    it('should hold the lock while running and release it after', () => {
+      const result = withLockSync(filename, () => {
+        expect(fs.existsSync(lockPath)).to.eql(true);
+        return 'result';
+      });
+
+      expect(result).to.eql('result');
+      expect(fs.existsSync(lockPath)).to.eql(false);
+    });
+
+    it('should throw when the lock is not released in time', () => {
+      createLock({ pid: process.pid, hostname: hostname() });
+
+      expect(() => withLockSync(filename, () => {}, { timeout: 100 }))
+        .to.throw(LockTimeoutError);
+    });
+  });
+});
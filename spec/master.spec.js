@@ -0,0 +1,161 @@
+import fs from 'fs';
+import path from 'path';
+import { tmpdir } from 'os';
+import { expect } from 'chai';
+import { stub } from 'sinon';
+import { master, servers } from '../src';
+import * as utils from './../src/utils';
+import { readJSONFile, writeJSONFile } from './../src/utils';
+import * as crypto from './../src/crypto';
+import utilsStub from './utils-stub';
+
+const cryptoSecret = 'CHK`Ya91Hs{me!^8ndwPPaPPxwQ}`';
+const masterPassword = 'my master password';
+const serverId = '440d4fef-6fc8-4e53-ba84-f89c91d9c542';
+
+describe('master', () => {
+  utilsStub.getConfigPath.install({ copyFixtureToTemp: true });
+
+  afterEach(() => master.lock());
+
+  async function getPassword() {
+    const data = await readJSONFile(utilsStub.TMP_FIXTURE_PATH);
+    return data.servers.find((srv) => srv.id === serverId).password;
+  }
+
+  describe('.enable', () => {
+    it('should encrypt the secrets with the master password', async () => {
+      await master.enable(cryptoSecret, masterPassword);
+
+      expect(await master.isEnabled()).to.eql(true);
+      expect(await master.isLocked()).to.eql(false);
+      const password = await getPassword();
+      expect(crypto.decrypt(password, masterPassword)).to.eql('password');
+      expect(() => crypto.decrypt(password, cryptoSecret)).to.throw('Unable to decrypt the value');
+    });
+  });
+
+  describe('given it is enabled', () => {
+    beforeEach(async () => {
+      await master.enable(cryptoSecret, masterPassword);
+      master.lock();
+    });
+
+    it('should not unlock with a wrong password', async () => {
+      let error;
+      try {
+        await master.unlock('wrong');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.eql('Invalid master password');
+      expect(await master.isLocked()).to.eql(true);
+    });
+
+    it('should not decrypt the secrets while locked', async () => {
+      const server = (await servers.getAll()).find((srv) => srv.id === serverId);
+      expect(() => servers.decryptSecrects(server, cryptoSecret))
+        .to.throw(master.SecretsLockedError);
+    });
+
+    it('should decrypt the secrets once unlocked', async () => {
+      await master.unlock(masterPassword);
+
+      const server = (await servers.getAll()).find((srv) => srv.id === serverId);
+      expect(servers.decryptSecrects(server, cryptoSecret).password).to.eql('password');
+    });
+
+    it('should change the master password', async () => {
+      await master.unlock(masterPassword);
+      await master.rotateSecret(masterPassword, 'new master password');
+
+      expect(crypto.decrypt(await getPassword(), 'new master password')).to.eql('password');
+      master.lock();
+      await master.unlock('new master password');
+    });
+
+    it('should disable the master password', async () => {
+      await master.disable(masterPassword, cryptoSecret);
+
+      expect(await master.isEnabled()).to.eql(false);
+      expect(crypto.decrypt(await getPassword(), cryptoSecret)).to.eql('password');
+    });
+  });
+
+  describe('.rotateSecret', () => {
+    it('should not change anything when a secret fails to decrypt', async () => {
+      const data = await readJSONFile(utilsStub.TMP_FIXTURE_PATH);
+      data.servers.push({
+        id: 'b5b1cb0d-7b4b-4a8b-8fb8-bd6e4a0b3b5f',
+        name: 'other secret',
+        encrypted: true,
+        password: crypto.encrypt('password', 'other secret'),
+      });
+      await writeJSONFile(utilsStub.TMP_FIXTURE_PATH, data);
+
+      let error;
+      try {
+        await master.rotateSecret(cryptoSecret, 'new secret');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceof(Error);
+      expect(await readJSONFile(utilsStub.TMP_FIXTURE_PATH)).to.eql(data);
+    });
+
+    describe('with a project file', () => {
+      const projectPath = path.join(tmpdir(), `sqlectron-master-${process.pid}.json`);
+      const projectServer = {
+        id: 'project-server',
+        name: 'project',
+        client: 'postgresql',
+        host: 'localhost',
+        ssl: false,
+        encrypted: true,
+      };
+
+      beforeEach(() => stub(utils, 'getProjectConfigPath').returns(projectPath));
+
+      afterEach(() => {
+        utils.getProjectConfigPath.restore();
+        [projectPath, utils.getBackupPath(projectPath)]
+          .filter((file) => fs.existsSync(file))
+          .forEach((file) => fs.unlinkSync(file));
+      });
+
+      async function writeProject(password) {
+        await writeJSONFile(projectPath, {
+          version: 2,
+          servers: [{ ...projectServer, password: crypto.encrypt('project password', password) }],
+        });
+      }
+
+      it('should encrypt again the secrets of the project servers', async () => {
+        await writeProject(cryptoSecret);
+
+        await master.enable(cryptoSecret, masterPassword);
+
+        const { password } = (await readJSONFile(projectPath)).servers[0];
+        expect(crypto.decrypt(password, masterPassword)).to.eql('project password');
+        expect(crypto.decrypt(await getPassword(), masterPassword)).to.eql('password');
+      });
+
+      it('should not change the user file when a project secret fails to decrypt', async () => {
+        await writeProject('other secret');
+        const data = await readJSONFile(utilsStub.TMP_FIXTURE_PATH);
+
+        let error;
+        try {
+          await master.rotateSecret(cryptoSecret, 'new secret');
+        } catch (err) {
+          error = err;
+        }
+
+        expect(error).to.be.instanceof(Error);
+        expect(await readJSONFile(utilsStub.TMP_FIXTURE_PATH)).to.eql(data);
+      });
+    });
+  });
+});
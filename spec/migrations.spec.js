@@ -0,0 +1,99 @@
+import { expect } from 'chai';
+import * as migrations from '../src/migrations';
+import * as crypto from '../src/crypto';
+
+const cryptoSecret = 'CHK`Ya91Hs{me!^8ndwPPaPPxwQ}`';
+
+describe('migrations', () => {
+  describe('.migrate', () => {
+    it('should migrate a file without version to the current version', () => {
+      const data = migrations.migrate({
+        resultItemsPerPage: 50,
+        servers: [
+          { id: 'a', name: 'pg', encrypted: true, password: 'fa1d88ee82bd4439' },
+          { id: 'b', name: 'mysql', ssl: true, ssh: { user: 'core' } },
+        ],
+      }, { cryptoSecret });
+
+      expect(data.version).to.eql(migrations.CURRENT_VERSION);
+      expect(data.resultItemsPerPage).to.eql(50);
+      expect(data.servers[0].ssl).to.eql(false);
+      expect(crypto.decrypt(data.servers[0].password, cryptoSecret)).to.eql('password');
+      expect(data.servers[1]).to.eql({ id: 'b', name: 'mysql', ssl: true, ssh: { user: 'core' } });
+    });
+
+    it('should upgrade legacy encrypted ssh passwords', () => {
+      const data = migrations.migrate({
+        servers: [{ encrypted: true, ssh: { password: 'fa1d88ee82bd4439' } }],
+      }, { cryptoSecret });
+
+      expect(crypto.decrypt(data.servers[0].ssh.password, cryptoSecret)).to.eql('password');
+    });
+
+    it('should upgrade legacy encrypted passwords to the current format', () => {
+      const data = migrations.migrate({
+        version: 1,
+        servers: [{
+          encrypted: true,
+          password: { ivText: 'wGf6X9T+QSygOHqtgQPlcA==', encryptedText: '0LySDs9WPAvwSS9Qv+W3/A==' },
+          ssh: { password: { store: 'file', key: 'id:ssh.password' } },
+        }],
+      }, { cryptoSecret });
+
+      const [server] = data.servers;
+      expect(server.password.version).to.eql(crypto.ENVELOPE_VERSION);
+      expect(crypto.decrypt(server.password, cryptoSecret)).to.eql('password');
+      expect(server.ssh.password).to.eql({ store: 'file', key: 'id:ssh.password' });
+    });
+
+    it('should upgrade every legacy encrypted secret field', () => {
+      const legacy = { ivText: 'wGf6X9T+QSygOHqtgQPlcA==', encryptedText: '0LySDs9WPAvwSS9Qv+W3/A==' };
+      const data = migrations.migrate({
+        version: 1,
+        servers: [{
+          encrypted: true,
+          ssh: { passphrase: legacy, jumpHosts: [{ host: 'bastion', password: legacy }] },
+          ssl: { mode: 'require', passphrase: legacy },
+        }],
+      }, { cryptoSecret });
+
+      const [server] = data.servers;
+      [
+        server.ssh.passphrase,
+        server.ssh.jumpHosts[0].password,
+        server.ssl.passphrase,
+      ].forEach((value) => {
+        expect(value.version).to.eql(crypto.ENVELOPE_VERSION);
+        expect(crypto.decrypt(value, cryptoSecret)).to.eql('password');
+      });
+      expect(server.ssh.jumpHosts[0].host).to.eql('bastion');
+    });
+
+    it('should keep entries that are not servers untouched', () => {
+      const data = migrations.migrate({ servers: ['garbage'] }, { cryptoSecret });
+      expect(data.servers).to.eql(['garbage']);
+    });
+
+    it('should not change a file already on the current version', () => {
+      const current = { version: migrations.CURRENT_VERSION, servers: [{ name: 'pg' }] };
+      expect(migrations.migrate(current, { cryptoSecret })).to.equal(current);
+    });
+
+    it('should throw for a file newer than the supported version', () => {
+      const version = migrations.CURRENT_VERSION + 1;
+      expect(() => migrations.migrate({ version, servers: [] }, { cryptoSecret }))
+        .to.throw(`Configuration file version ${version} is newer than the supported version`);
+    });
+  });
+
+  describe('.needsMigration', () => {
+    it('should be true for files without version', () => {
+      expect(migrations.needsMigration({ servers: [] })).to.eql(true);
+    });
+
+    it('should be false for files on the current version', () => {
+      const data = { version: migrations.CURRENT_VERSION, servers: [] };
+      expect(migrations.needsMigration(data)).to.eql(false);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/* eslint no-template-curly-in-string: 0 */
+import fs from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { expect } from 'chai';
+import * as placeholders from '../src/placeholders';
+
+describe('placeholders', () => {
+  const filename = join(tmpdir(), `sqlectron-placeholder-${process.pid}`);
+
+  beforeEach(() => {
+    process.env.SQLECTRON_TEST_HOST = 'db.example.com';
+    fs.writeFileSync(filename, 'file password\n');
+  });
+
+  afterEach(() => {
+    delete process.env.SQLECTRON_TEST_HOST;
+    fs.unlinkSync(filename);
+  });
+
+  describe('.resolveValue', () => {
+    it('should replace environment variables and files', async () => {
+      expect(await placeholders.resolveValue('${env:SQLECTRON_TEST_HOST}:5432')).to.eql('db.example.com:5432');
+      expect(await placeholders.resolveValue(`\${file:${filename}}`)).to.eql('file password');
+    });
+
+    it('should keep escaped placeholders', async () => {
+      expect(await placeholders.resolveValue('pa$${env:USER}')).to.eql('pa${env:USER}');
+    });
+  });
+
+  describe('.findInvalidPlaceholder', () => {
+    it('should report unknown and empty placeholders', () => {
+      expect(placeholders.findInvalidPlaceholder('${vault:db}'))
+        .to.eql('Unknown placeholder ${vault:db}, use ${env:NAME} or ${file:path}.');
+      expect(placeholders.findInvalidPlaceholder('${env:}'))
+        .to.eql('Missing placeholder argument in ${env:}.');
+      expect(placeholders.findInvalidPlaceholder('${env:HOME}')).to.eql(undefined);
+    });
+  });
+
+  describe('.resolveServer', () => {
+    it('should resolve the placeholder fields', async () => {
+      const server = {
+        name: '${env:SQLECTRON_TEST_HOST}',
+        host: '${env:SQLECTRON_TEST_HOST}',
+        password: `\${file:${filename}}`,
+        ssh: { user: 'core' },
+      };
+
+      expect(await placeholders.resolveServer(server)).to.eql({
+        name: '${env:SQLECTRON_TEST_HOST}',
+        host: 'db.example.com',
+        password: 'file password',
+        ssh: { user: 'core' },
+      });
+    });
+
+    it('should resolve the fields of each jump host', async () => {
+      const server = {
+        host: 'db.internal',
+        ssh: {
+          host: 'bastion-2.example.com',
+          jumpHosts: [{ host: '${env:SQLECTRON_TEST_HOST}', password: `\${file:${filename}}` }],
+        },
+      };
+
+      expect((await placeholders.resolveServer(server)).ssh.jumpHosts).to.eql([
+        { host: 'db.example.com', password: 'file password' },
+      ]);
+    });
+
+    it('should report every field that can not be resolved', async () => {
+      const server = {
+        host: '${env:SQLECTRON_TEST_MISSING}',
+        ssh: { privateKey: '${file:/missing/sqlectron/key}' },
+      };
+
+      let error;
+      try {
+        await placeholders.resolveServer(server);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceof(placeholders.PlaceholderError);
+      expect(error.errors.map((err) => err.path)).to.eql(['$.host', '$.ssh.privateKey']);
+      expect(error.errors[0].message).to.eql('The environment variable SQLECTRON_TEST_MISSING is not set.');
+    });
+
+    it('should not read the files when they are not allowed', async () => {
+      const server = { host: '${env:SQLECTRON_TEST_HOST}', password: `\${file:${filename}}` };
+
+      let error;
+      try {
+        await placeholders.resolveServer(server, { allowFiles: false });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceof(placeholders.PlaceholderError);
+      expect(error.errors.map((err) => [err.path, err.message])).to.eql([
+        ['$.password', 'The file placeholders are not allowed for this server.'],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+import fs from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { expect } from 'chai';
+import { createServer, safety } from '../src';
+
+
+describe('safety', () => {
+  describe('.analyzeQuery', () => {
+    it('should identify each statement', () => {
+      const statements = safety.analyzeQuery(`
+        -- the users; all of them
+        SELECT * FROM users WHERE name = 'a;b';
+        /* remove; everything */ DELETE FROM users;
+        delete from logs where id = 1
+      `);
+
+      expect(statements).to.eql([
+        { type: 'SELECT', text: 'SELECT * FROM users WHERE name = ?', readOnly: true, destructive: false },
+        { type: 'DELETE', text: 'DELETE FROM users', readOnly: false, destructive: true },
+        { type: 'DELETE', text: 'delete from logs where id = 1', readOnly: false, destructive: false },
+      ]);
+    });
+
+    [
+      ['SELECT * FROM "drop"', true, false],
+      ['WITH old AS (SELECT 1) SELECT * FROM old', true, false],
+      ['WITH old AS (SELECT 1) DELETE FROM logs', false, true],
+      ['EXPLAIN ANALYZE UPDATE users SET name = 1', false, false],
+      ['SELECT * INTO backup FROM users', false, false],
+      ['SHOW TABLES', true, false],
+      ['DROP TABLE users', false, true],
+      ['TRUNCATE users', false, true],
+      ['INSERT INTO users VALUES ($$DELETE FROM users$$)', false, false],
+      ["SELECT REPLACE(name, 'a', 'b') FROM users", true, false],
+      ['SHOW CREATE TABLE users', true, false],
+      ['SELECT COUNT(*) INTO @total FROM users', true, false],
+      ['WITH old AS (SELECT 1) REPLACE INTO users SELECT * FROM old', false, false],
+      ['WITH old AS (SELECT 1) CREATE TABLE copy AS SELECT * FROM old', false, false],
+    ].forEach(([query, readOnly, destructive]) => {
+      it(`should identify ${query}`, () => {
+        expect(safety.analyzeQuery(query)[0]).to.include({ readOnly, destructive });
+      });
+    });
+
+    it('should read the backslashes in the strings as the client does', () => {
+      const query = "SELECT 'C:\\'; DROP TABLE t; --'";
+
+      expect(safety.analyzeQuery(query, 'postgresql').map((statement) => statement.type))
+        .to.eql(['SELECT', 'DROP']);
+      expect(safety.analyzeQuery(query, 'mysql').map((statement) => statement.type))
+        .to.eql(['SELECT']);
+      expect(safety.analyzeQuery("SELECT E'C:\\'; DROP TABLE t; --'", 'postgresql'))
+        .to.have.length(1);
+    });
+
+    it('should not hide the statements after a backslash ending a string', () => {
+      const statements = safety.analyzeQuery("UPDATE t SET p='C:\\temp\\'; DROP TABLE t; --'", 'postgresql');
+
+      expect(statements.map(({ type, destructive }) => [type, destructive])).to.eql([
+        ['UPDATE', false],
+        ['DROP', true],
+      ]);
+    });
+
+    [
+      'SELECT 1; /*!50000 DROP TABLE users */',
+      'SELECT 1 --; DROP TABLE users',
+    ].forEach((query) => {
+      it(`should find the MySQL statements hidden in ${query}`, () => {
+        const statements = safety.analyzeQuery(query, 'mysql');
+
+        expect(statements.map(({ type, destructive }) => [type, destructive])).to.eql([
+          ['SELECT', false],
+          ['DROP', true],
+        ]);
+      });
+    });
+
+    it('should read the MySQL comments starting with #', () => {
+      const statements = safety.analyzeQuery("SELECT 1 # it's\n; DROP TABLE t; -- '", 'mysql');
+
+      expect(statements.map((statement) => statement.destructive)).to.eql([false, true]);
+    });
+
+    [
+      'SELECT * FROM users FOR UPDATE',
+      'SELECT * FROM users FOR NO KEY UPDATE OF users SKIP LOCKED',
+      'SELECT * FROM users FOR SHARE',
+    ].forEach((query) => {
+      it(`should identify ${query} as read only`, () => {
+        expect(safety.analyzeQuery(query, 'postgresql')[0]).to.include({ readOnly: true });
+      });
+    });
+  });
+
+  describe('.createServer', () => {
+    const database = join(tmpdir(), `sqlectron-safety-${process.pid}.sqlite`);
+    const connections = [];
+
+    async function connect(safetySettings, options) {
+      const server = createServer({ name: 'local', client: 'sqlite', database, safety: safetySettings }, options);
+      const connection = server.createConnection(database);
+      await connection.connect();
+      connections.push(server);
+      return connection;
+    }
+
+    async function getError(promise) {
+      try {
+        await promise;
+      } catch (err) {
+        return err;
+      }
+      return null;
+    }
+
+    beforeEach(async () => {
+      const connection = await connect({});
+      await connection.executeQuery('CREATE TABLE users (id INTEGER, name TEXT); INSERT INTO users VALUES (1, \'a\'), (2, \'b\');');
+    });
+
+    afterEach(() => {
+      connections.splice(0).forEach((server) => server.end());
+      if (fs.existsSync(database)) { fs.unlinkSync(database); }
+    });
+
+    it('should only run statements reading data on read only servers', async () => {
+      const connection = await connect({ readOnly: true });
+
+      const [result] = await connection.executeQuery('SELECT count(*) AS total FROM users');
+      const error = await getError(connection.executeQuery('SELECT 1; UPDATE users SET name = \'c\''));
+
+      expect(result.rows).to.eql([{ total: 2 }]);
+      expect(error).to.be.instanceof(safety.ReadOnlyServerError);
+      expect(error.message).to.eql('The server is read only, UPDATE statements are not allowed');
+    });
+
+    it('should confirm the destructive statements', async () => {
+      const confirmations = [];
+      const connection = await connect({ confirmDestructive: true }, {
+        confirm: ({ statements }) => {
+          confirmations.push(statements.map((statement) => statement.text));
+          return confirmations.length > 1;
+        },
+      });
+
+      const error = await getError(connection.executeQuery('DELETE FROM users'));
+      await connection.executeQuery('DELETE FROM users WHERE id = 1');
+      await connection.executeQuery('DELETE FROM users');
+
+      expect(error).to.be.instanceof(safety.StatementNotConfirmedError);
+      expect(confirmations).to.eql([['DELETE FROM users'], ['DELETE FROM users']]);
+      expect((await connection.executeQuery('SELECT * FROM users'))[0].rows).to.eql([]);
+    });
+
+    it('should not run destructive statements on production servers without confirmation', async () => {
+      const connection = await connect({ production: true, color: '#d9534f' });
+
+      const error = await getError(connection.executeQuery('DROP TABLE users'));
+
+      expect(error).to.be.instanceof(safety.StatementNotConfirmedError);
+      expect((await connection.executeQuery('SELECT * FROM users'))[0].rows).to.have.length(2);
+    });
+
+    it('should cancel the queries running longer than the statement timeout', async () => {
+      const connection = await connect({ statementTimeout: 100 });
+
+      const error = await getError(connection.executeQuery(
+        'WITH RECURSIVE c(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM c WHERE x < 1000000000) SELECT count(*) FROM c',
+      ));
+
+      expect(error).to.be.instanceof(safety.StatementTimeoutError);
+    });
+
+    it('should use the select limit of the server', async () => {
+      const connection = await connect({ selectLimit: 10 });
+
+      expect(await connection.getQuerySelectTop('users')).to.match(/LIMIT 10/);
+      expect(await connection.getQuerySelectTop('users', undefined, 5)).to.match(/LIMIT 5/);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { expect } from 'chai';
+import * as secrets from '../src/secrets';
+import * as crypto from '../src/crypto';
+
+const cryptoSecret = 'CHK`Ya91Hs{me!^8ndwPPaPPxwQ}`';
+
+describe('secrets', () => {
+  describe('inline store', () => {
+    it('should keep the secret encrypted in the server field', () => {
+      const value = secrets.save('id:password', 'password', { cryptoSecret });
+
+      expect(value).to.have.keys(['version', 'salt', 'ivText', 'authTag', 'encryptedText']);
+      expect(secrets.load(value, { cryptoSecret })).to.eql('password');
+    });
+
+    it('should load old style encrypted secrets', () => {
+      expect(secrets.load('fa1d88ee82bd4439', { cryptoSecret })).to.eql('password');
+    });
+  });
+
+  describe('file store', () => {
+    let dir;
+    let settings;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(join(tmpdir(), 'sqlectron-'));
+      settings = { type: 'file', path: join(dir, 'secrets.json') };
+    });
+
+    afterEach(() => {
+      fs.readdirSync(dir).forEach((file) => fs.unlinkSync(join(dir, file)));
+      fs.rmdirSync(dir);
+    });
+
+    it('should keep the secret encrypted in a file only readable by its owner', () => {
+      const value = secrets.save('id:password', 'password', { cryptoSecret, settings });
+
+      expect(value).to.eql({ store: 'file', key: 'id:password' });
+      const content = JSON.parse(fs.readFileSync(settings.path, 'utf8'));
+      expect(crypto.decrypt(content['id:password'], cryptoSecret)).to.eql('password');
+      if (process.platform !== 'win32') {
+        expect(fs.statSync(settings.path).mode.toString(8).slice(-3)).to.eql('600');
+      }
+      expect(secrets.load(value, { cryptoSecret, settings })).to.eql('password');
+    });
+
+    it('should remove the secret', () => {
+      const value = secrets.save('id:password', 'password', { cryptoSecret, settings });
+      secrets.save('id:ssh.password', 'ssh', { cryptoSecret, settings });
+      secrets.remove(value, { settings });
+
+      const content = JSON.parse(fs.readFileSync(settings.path, 'utf8'));
+      expect(content).to.have.keys(['id:ssh.password']);
+      expect(() => secrets.load(value, { cryptoSecret, settings }))
+        .to.throw('Secret id:password not found in the secrets file');
+    });
+  });
+
+  describe('command store', () => {
+    const settings = {
+      type: 'command',
+      command: process.execPath,
+      args: ['-e', 'console.log("secret-" + process.argv[1])', '{key}'],
+    };
+
+    it('should load the secret from the command output', () => {
+      expect(secrets.load({ store: 'command', key: 'prod' }, { cryptoSecret, settings }))
+        .to.eql('secret-prod');
+    });
+
+    it('should fail when the command fails', () => {
+      const failing = { ...settings, args: ['-e', 'process.exit(1)'] };
+      expect(() => secrets.load({ store: 'command', key: 'prod' }, { cryptoSecret, settings: failing }))
+        .to.throw('Unable to load secret prod from command');
+    });
+
+    it('should fail when the command is not configured', () => {
+      expect(() => secrets.load({ store: 'command', key: 'prod' }, { cryptoSecret }))
+        .to.throw('The command secret store is not configured');
+    });
+
+    it('should not save secrets', () => {
+      expect(() => secrets.save('id:password', 'password', { cryptoSecret, settings }))
+        .to.throw('The command secret store is read only');
+    });
+  });
+
+  describe('.registerStore', () => {
+    it('should not replace a registered store', () => {
+      expect(() => secrets.registerStore('file', {}))
+        .to.throw('Secret store already registered with type file');
+    });
+  });
+
+  describe('.getSecretFields', () => {
+    it('should list the secret fields supported by the client', () => {
+      expect(secrets.getSecretFields('mysql')).to.eql([
+        'password', 'ssh.password', 'ssh.passphrase', 'ssl.passphrase',
+        'ssh.jumpHosts.*.password', 'ssh.jumpHosts.*.passphrase',
+      ]);
+    });
+
+    it('should skip the fields disabled for the client', () => {
+      expect(secrets.getSecretFields('sqlite')).to.eql([]);
+    });
+  });
+
+  describe('.mapSecretValues', () => {
+    it('should replace only the secret fields set', () => {
+      const server = {
+        client: 'mysql',
+        password: 'password',
+        ssh: { user: 'root', passphrase: 'passphrase' },
+      };
+      const mapped = secrets.mapSecretValues(server, (value, path) => `${path}=${value}`);
+
+      expect(mapped).to.eql({
+        client: 'mysql',
+        password: 'password=password',
+        ssh: { user: 'root', passphrase: 'ssh.passphrase=passphrase' },
+      });
+      expect(server.ssh.passphrase).to.eql('passphrase');
+    });
+
+    it('should replace the secret fields of each jump host', () => {
+      const server = {
+        client: 'mysql',
+        ssh: {
+          user: 'root',
+          jumpHosts: [{ user: 'jump', password: 'first' }, { user: 'jump', passphrase: 'second' }],
+        },
+      };
+      const mapped = secrets.mapSecretValues(server, (value, path) => `${path}=${value}`);
+
+      expect(mapped.ssh.jumpHosts).to.eql([
+        { user: 'jump', password: 'ssh.jumpHosts.0.password=first' },
+        { user: 'jump', passphrase: 'ssh.jumpHosts.1.passphrase=second' },
+      ]);
+      expect(server.ssh.jumpHosts[0].password).to.eql('first');
+    });
+  });
+
+  describe('.getProfileSecret', () => {
+    it('should derive a different secret for each profile', () => {
+      const secret = 'CHK`Ya91Hs{me!^8ndwPPaPPxwQ}`';
+
+      expect(secrets.getProfileSecret(secret, 'default')).to.eql(secret);
+      expect(secrets.getProfileSecret(secret, 'client-a')).to.not.eql(secret);
+      expect(secrets.getProfileSecret(secret, 'client-a')).to.eql(secrets.getProfileSecret(secret, 'client-a'));
+      expect(secrets.getProfileSecret(secret, 'client-a')).to.not.eql(secrets.getProfileSecret(secret, 'client-b'));
+    });
+  });
+
+  describe('.isReference', () => {
+    it('should identify references to stored secrets', () => {
+      expect(secrets.isReference({ store: 'file', key: 'id:password' })).to.eql(true);
+      expect(secrets.isReference({ ivText: 'a', encryptedText: 'b' })).to.eql(false);
+      expect(secrets.isReference('password')).to.eql(false);
+    });
+  });
+});
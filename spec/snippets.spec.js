@@ -0,0 +1,176 @@
+import { expect } from 'chai';
+import { servers, snippets } from '../src';
+import utilsStub from './utils-stub';
+
+describe('snippets', () => {
+  utilsStub.getConfigPath.install({ copyFixtureToTemp: true });
+
+  const snippet = {
+    name: 'locks',
+    folder: ' Diagnostics / Locks ',
+    clients: ['postgresql', 'redshift'],
+    sql: 'SELECT * FROM pg_locks WHERE pid = :pid AND mode::text = :mode LIMIT :limit',
+    params: [
+      { name: 'pid', type: 'integer' },
+      { name: 'mode', type: 'string' },
+      { name: 'limit', type: 'integer', default: 100 },
+    ],
+  };
+
+  async function addError(item) {
+    try {
+      await snippets.add(item);
+    } catch (err) {
+      return err;
+    }
+    return undefined;
+  }
+
+  describe('.add', () => {
+    it('should save the snippet', async () => {
+      const added = await snippets.add(snippet);
+
+      expect(added).to.have.property('id');
+      expect(added).to.have.property('folder', 'Diagnostics/Locks');
+      expect(await snippets.getAll()).to.eql([added]);
+    });
+
+    it('should validate the snippet', async () => {
+      const errors = await Promise.all([
+        { ...snippet, clients: ['oracle'] },
+        { ...snippet, params: [{ name: 'pid', type: 'uuid' }] },
+        { ...snippet, params: snippet.params.slice(1) },
+      ].map(addError));
+
+      expect(errors.map((error) => error.message)).to.eql([
+        'Invalid snippet. $.clients: Invalid clients, use a list of: mysql, mariadb, postgresql, redshift, sqlserver, sqlite, cassandra.',
+        'Invalid snippet. $.sql: Undeclared parameters: :mode, :limit. $.params: Invalid parameters, use a list of { name, type } where type is one of: string, integer, number, boolean, date, identifier.',
+        'Invalid snippet. $.sql: Undeclared parameters: :pid.',
+      ]);
+    });
+  });
+
+  describe('.getAll', () => {
+    it('should filter the snippets by client and folder', async () => {
+      const locks = await snippets.add(snippet);
+      const bloat = await snippets.add({ name: 'bloat', folder: 'Diagnostics', sql: 'SELECT 1' });
+      await snippets.add({ name: 'users', folder: 'Reports', sql: 'SELECT * FROM users' });
+
+      expect(await snippets.getAll({ folder: 'Diagnostics' })).to.eql([locks, bloat]);
+      expect(await snippets.getAll({ client: 'mysql', folder: 'Diagnostics' })).to.eql([bloat]);
+    });
+  });
+
+  describe('.update', () => {
+    it('should replace the snippet', async () => {
+      const added = await snippets.add(snippet);
+
+      await snippets.update({ ...added, name: 'renamed' });
+
+      expect(await snippets.getById(added.id)).to.have.property('name', 'renamed');
+    });
+  });
+
+  describe('.removeById', () => {
+    it('should remove the snippet', async () => {
+      const added = await snippets.add(snippet);
+
+      await snippets.removeById(added.id);
+
+      expect(await snippets.getAll()).to.eql([]);
+    });
+  });
+
+  describe('.render', () => {
+    it('should bind the parameters as literals', () => {
+      const sql = snippets.render(snippet, { pid: '42', mode: "Row'Exclusive" }, 'postgresql');
+
+      expect(sql).to.eql("SELECT * FROM pg_locks WHERE pid = 42 AND mode::text = 'Row''Exclusive' LIMIT 100");
+    });
+
+    it('should escape the values for the client dialect', () => {
+      const item = {
+        name: 'users',
+        sql: "SELECT * FROM :table WHERE name = :name AND active = :active AND note = ':name' -- :name",
+        params: [
+          { name: 'table', type: 'identifier' },
+          { name: 'name', type: 'string' },
+          { name: 'active', type: 'boolean' },
+        ],
+      };
+      const values = { table: 'app.users', name: 'a\\\'b', active: true };
+
+      expect(snippets.render(item, values, 'mysql')).to.eql(
+        "SELECT * FROM `app`.`users` WHERE name = 'a\\\\''b' AND active = TRUE AND note = ':name' -- :name",
+      );
+      expect(snippets.render(item, values, 'sqlserver')).to.eql(
+        "SELECT * FROM [app].[users] WHERE name = 'a\\''b' AND active = 1 AND note = ':name' -- :name",
+      );
+      expect(snippets.render(item, { ...values, table: 'my"table' }, 'postgresql')).to.eql(
+        "SELECT * FROM \"my\"\"table\" WHERE name = 'a\\''b' AND active = TRUE AND note = ':name' -- :name",
+      );
+    });
+
+    it('should read the strings with the syntax of the client', () => {
+      const item = {
+        name: 'paths',
+        sql: "SELECT * FROM files WHERE path = 'C:\\' AND owner = :owner -- ':owner'",
+        params: [{ name: 'owner', type: 'string' }],
+      };
+
+      expect(snippets.render(item, { owner: 'me' }, 'postgresql')).to.eql(
+        "SELECT * FROM files WHERE path = 'C:\\' AND owner = 'me' -- ':owner'",
+      );
+      expect(snippets.getParamNames("SELECT 'it\\'s :x'", 'mysql')).to.eql([]);
+      expect(snippets.getParamNames("SELECT 'it\\'s :x'", 'postgresql')).to.eql(['x']);
+    });
+
+    it('should not turn the negative numbers into comments', () => {
+      const item = {
+        name: 'offset',
+        sql: 'SELECT 10 -:n, 2 -:x, 1',
+        params: [{ name: 'n', type: 'integer' }, { name: 'x', type: 'number' }],
+      };
+
+      expect(snippets.render(item, { n: -5, x: '-1.5' }, 'postgresql')).to.eql('SELECT 10 -(-5), 2 -(-1.5), 1');
+      expect(snippets.render(item, { n: 5, x: 0 }, 'postgresql')).to.eql('SELECT 10 -5, 2 -0, 1');
+    });
+
+    it('should report the invalid parameters', () => {
+      let error;
+      try {
+        snippets.render(snippet, { pid: '1; DROP TABLE users' }, 'postgresql');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceof(snippets.SnippetParamsError);
+      expect(error.errors).to.eql([
+        { name: 'pid', message: 'Invalid integer value.' },
+        { name: 'mode', message: 'Missing value.' },
+      ]);
+    });
+
+    it('should not render the snippets of other clients', () => {
+      expect(() => snippets.render(snippet, { pid: 1, mode: 'x' }, 'mysql'))
+        .to.throw('The snippet locks does not apply to mysql');
+    });
+  });
+
+  describe('bundles', () => {
+    it('should export and import the snippets with the servers', async () => {
+      const added = await snippets.add(snippet);
+      const bundle = await servers.exportBundle([], { snippetIds: [added.id] });
+
+      expect(bundle.snippets).to.eql([added]);
+
+      await snippets.removeById(added.id);
+      const report = await servers.importBundle(bundle);
+      const again = await servers.importBundle(bundle, { onConflict: 'duplicate' });
+
+      expect(report.snippets.added).to.eql([{ id: added.id, name: 'locks' }]);
+      expect(again.snippets.duplicated).to.have.length(1);
+      expect((await snippets.getAll()).map((item) => item.name)).to.eql(['locks', 'locks']);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import tls from 'tls';
+import { expect } from 'chai';
+import * as sinon from 'sinon';
+import * as ssl from '../src/ssl';
+
+
+describe('ssl', () => {
+  describe('.getConnectionOptions', () => {
+    it('should fail with a minVersion on the Node.js versions ignoring it', async () => {
+      sinon.stub(tls, 'DEFAULT_MIN_VERSION').value(undefined);
+
+      let error;
+      try {
+        await ssl.getConnectionOptions({ mode: 'require', minVersion: 'TLSv1.2' }, 'postgresql');
+      } catch (err) {
+        error = err;
+      } finally {
+        sinon.restore();
+      }
+
+      expect(error.message).to.match(/^The SSL minVersion setting is not supported by Node\.js v/);
+    });
+  });
+
+  describe('.fallBackOnConnect', () => {
+    // database whose connections fail with SSL
+    function createDatabase(config) {
+      const dbServer = { config };
+      const connect = sinon.spy(async () => {
+        if (dbServer.config.ssl) { throw new Error('The server does not support SSL connections'); }
+        return 'connected';
+      });
+      const database = ssl.fallBackOnConnect({ connect }, dbServer);
+      return { database, dbServer, connect };
+    }
+
+    it('should retry without SSL in prefer mode', async () => {
+      const { database, dbServer, connect } = createDatabase({
+        ssl: { rejectUnauthorized: false },
+        sslFallback: true,
+      });
+
+      expect(await database.connect()).to.eql('connected');
+      expect(connect.callCount).to.eql(2);
+      expect(dbServer.config.ssl).to.eql({ rejectUnauthorized: false });
+    });
+
+    it('should not retry without SSL in the other modes', async () => {
+      const { database, connect } = createDatabase({ ssl: { rejectUnauthorized: false } });
+
+      let error;
+      try {
+        await database.connect();
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.eql('The server does not support SSL connections');
+      expect(connect.callCount).to.eql(1);
+    });
+  });
+});
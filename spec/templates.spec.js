@@ -0,0 +1,72 @@
+import { expect } from 'chai';
+import { templates } from '../src';
+import utilsStub from './utils-stub';
+
+describe('templates', () => {
+  utilsStub.getConfigPath.install({ copyFixtureToTemp: true });
+
+  const template = {
+    name: 'company postgres via bastion',
+    server: {
+      client: 'postgresql',
+      port: 5432,
+      ssl: true,
+      ssh: { host: 'bastion', port: 22, password: 'secret' },
+    },
+  };
+
+  describe('.add', () => {
+    it('should save the template without its secrets', async () => {
+      const added = await templates.add(template);
+
+      expect(added).to.have.property('id');
+      expect(added.server.ssh).to.eql({ host: 'bastion', port: 22 });
+      expect(await templates.getAll()).to.eql([added]);
+    });
+
+    it('should validate the template', async () => {
+      let error;
+      try {
+        await templates.add({ ...template, server: { ...template.server, client: 'fake-client' } });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.match(/^Invalid template\. \$\.server\.client:/);
+    });
+  });
+
+  describe('.update', () => {
+    it('should replace the template', async () => {
+      const added = await templates.add(template);
+
+      await templates.update({ ...added, name: 'renamed' });
+
+      expect(await templates.getById(added.id)).to.have.property('name', 'renamed');
+    });
+  });
+
+  describe('.removeById', () => {
+    it('should remove the template', async () => {
+      const added = await templates.add(template);
+
+      await templates.removeById(added.id);
+
+      expect(await templates.getAll()).to.eql([]);
+    });
+  });
+
+  describe('.apply', () => {
+    it('should fill the fields the server does not set', () => {
+      const server = templates.apply(template, { name: 'orders', port: 5433, ssh: { user: 'core' } });
+
+      expect(server).to.eql({
+        name: 'orders',
+        client: 'postgresql',
+        port: 5433,
+        ssl: true,
+        ssh: { host: 'bastion', port: 22, password: 'secret', user: 'core' },
+      });
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { expect } from 'chai';
+import { tokenize } from '../src/tokenizer';
+
+
+describe('tokenizer', () => {
+  describe('.tokenize', () => {
+    function getTokens(sql, client) {
+      return tokenize(sql, client)
+        .filter(({ text }) => text.trim())
+        .map(({ type, text }) => [type, text]);
+    }
+
+    it('should split the query in tokens', () => {
+      expect(getTokens('SELECT "id", 1.5 FROM t -- comment\nWHERE a = :name::text; /* end */')).to.eql([
+        ['text', 'SELECT'],
+        ['identifier', '"id"'],
+        ['text', ','],
+        ['number', '1.5'],
+        ['text', 'FROM'],
+        ['text', 't'],
+        ['comment', '-- comment'],
+        ['text', 'WHERE'],
+        ['text', 'a'],
+        ['text', '='],
+        ['param', ':name'],
+        ['text', '::'],
+        ['text', 'text'],
+        ['separator', ';'],
+        ['comment', '/* end */'],
+      ]);
+    });
+
+    it('should only escape with backslashes in the dialects doing it', () => {
+      expect(getTokens("'a\\'b' c", 'postgresql')).to.eql([['string', "'a\\'"], ['text', 'b'], ['string', "' c"]]);
+      expect(getTokens("E'a\\'b' c", 'postgresql')).to.eql([['string', "E'a\\'b'"], ['text', 'c']]);
+      expect(getTokens("'a\\'b' c", 'mysql')).to.eql([['string', "'a\\'b'"], ['text', 'c']]);
+    });
+
+    it('should read the quotes of each dialect', () => {
+      expect(getTokens('"a" `b` [c]', 'mysql')).to.eql([['string', '"a"'], ['identifier', '`b`'], ['text', '['], ['text', 'c'], ['text', ']']]);
+      expect(getTokens('"a" [c]', 'sqlserver')).to.eql([['identifier', '"a"'], ['identifier', '[c]']]);
+      expect(getTokens('$tag$ :a; $tag$ $1', 'postgresql')).to.eql([['string', '$tag$ :a; $tag$'], ['text', '$1']]);
+      expect(getTokens('$a$ # b', 'mysql')).to.eql([['text', '$'], ['text', 'a$'], ['comment', '# b']]);
+    });
+
+    it('should split the body of the MySQL executable comments as code', () => {
+      expect(getTokens('/*!50000 DROP t */ /*M! x */ /* y */', 'mysql')).to.eql([
+        ['comment', '/*!50000'], ['text', 'DROP'], ['text', 't'], ['comment', '*/'],
+        ['comment', '/*M!'], ['text', 'x'], ['comment', '*/'],
+        ['comment', '/* y */'],
+      ]);
+      expect(getTokens('/*!50000 DROP t */', 'postgresql')).to.eql([['comment', '/*!50000 DROP t */']]);
+    });
+
+    it('should only start the MySQL dash comments with a space', () => {
+      expect(getTokens('1 --; 2 -- x\n3 --', 'mysql')).to.eql([
+        ['number', '1'], ['text', '-'], ['text', '-'], ['separator', ';'], ['number', '2'],
+        ['comment', '-- x'], ['number', '3'], ['comment', '--'],
+      ]);
+      expect(getTokens('1 --; 2', 'postgresql')).to.eql([['number', '1'], ['comment', '--; 2']]);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import { createHmac, generateKeyPairSync, randomBytes } from 'crypto';
+import { expect } from 'chai';
+import { Server, utils as sshUtils } from 'ssh2';
+import * as tunnel from '../src/tunnel';
+import { db } from '../src';
+
+
+describe('tunnel', () => {
+  const stubs = [];
+  const tunnels = [];
+  let hostKey;
+  let publicKey;
+  let forwarded;
+
+  function listen(server) {
+    stubs.push(server);
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+  }
+
+  // SSH server accepting the "secret" password and forwarding the connections
+  function createSshStub() {
+    return listen(new Server({ hostKeys: [hostKey] }, (client) => {
+      client.on('error', () => {});
+      client.on('authentication', (ctx) => (
+        ctx.method === 'password' && ctx.password === 'secret' ? ctx.accept() : ctx.reject(['password'])
+      ));
+      client.on('tcpip', (accept, reject, info) => {
+        forwarded.push(info.destPort);
+        const socket = net.connect(info.destPort, info.destIP, () => {
+          const stream = accept();
+          stream.pipe(socket).pipe(stream);
+        });
+        socket.on('error', () => reject());
+      });
+    }));
+  }
+
+  function createTargetStub() {
+    return listen(net.createServer((socket) => socket.end('hello')));
+  }
+
+  async function open(server) {
+    const created = await tunnel.createTunnel(server);
+    created.on('error', () => {});
+    tunnels.push(created);
+    return created;
+  }
+
+  // the data received through the tunnel, rejected with the tunnel errors
+  function read(created) {
+    return new Promise((resolve, reject) => {
+      created.once('error', reject);
+      const { address, port } = created.address();
+      const socket = net.connect(port, address);
+      let data = '';
+      socket.on('data', (chunk) => { data += chunk; });
+      socket.on('end', () => resolve(data));
+      socket.on('error', () => {});
+    });
+  }
+
+  async function readError(created) {
+    try {
+      await read(created);
+    } catch (err) {
+      return err;
+    }
+    return undefined;
+  }
+
+  function writeKnownHosts(content) {
+    const filename = path.join(os.tmpdir(), `known_hosts_${randomBytes(4).toString('hex')}`);
+    fs.writeFileSync(filename, content);
+    return filename;
+  }
+
+  before(() => {
+    hostKey = generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'pkcs1', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+    }).privateKey;
+    publicKey = sshUtils.genPublicKey(sshUtils.parseKey(hostKey)).public;
+  });
+
+  beforeEach(() => {
+    forwarded = [];
+  });
+
+  afterEach(() => {
+    tunnels.splice(0).forEach((created) => created.close());
+    stubs.splice(0).forEach((stub) => stub.close());
+  });
+
+  it('should go through the jump hosts in order', async () => {
+    const [sshPort, targetPort] = await Promise.all([createSshStub(), createTargetStub()]);
+    const hop = {
+      host: '127.0.0.1', port: sshPort, user: 'admin', password: 'secret',
+    };
+
+    const created = await open({
+      host: '127.0.0.1',
+      port: targetPort,
+      ssh: { ...hop, hostFingerprint: tunnel.getFingerprint(publicKey), jumpHosts: [hop] },
+    });
+
+    expect(await read(created)).to.eql('hello');
+    expect(await read(created)).to.eql('hello');
+    expect(forwarded).to.eql([sshPort, targetPort, targetPort]);
+  });
+
+  it('should reject the host keys not matching the pinned fingerprint', async () => {
+    const [sshPort, targetPort] = await Promise.all([createSshStub(), createTargetStub()]);
+
+    const created = await open({
+      host: '127.0.0.1',
+      port: targetPort,
+      ssh: {
+        host: '127.0.0.1',
+        port: sshPort,
+        user: 'admin',
+        password: 'secret',
+        hostFingerprint: 'SHA256:ocUJ3yHOxJr2aFq449utYN/LA3zAqzsLUsYS8q5uzKQ',
+      },
+    });
+    const error = await readError(created);
+
+    expect(error).to.be.instanceof(tunnel.HostKeyError);
+    expect(error.code).to.eql('EHOSTKEY');
+    expect(error.fingerprint).to.eql(tunnel.getFingerprint(publicKey));
+    expect(forwarded).to.eql([]);
+  });
+
+  it('should check the host keys with the known hosts file', async () => {
+    const [sshPort, targetPort] = await Promise.all([createSshStub(), createTargetStub()]);
+    const name = `[127.0.0.1]:${sshPort}`;
+    const salt = randomBytes(20);
+    const hashedName = `|1|${salt.toString('base64')}|${createHmac('sha1', salt).update(name).digest('base64')}`;
+    const server = {
+      host: '127.0.0.1',
+      port: targetPort,
+      ssh: {
+        host: '127.0.0.1', port: sshPort, user: 'admin', password: 'secret',
+      },
+    };
+
+    const trusted = writeKnownHosts(`# comment\n${hashedName} ssh-rsa ${publicKey.toString('base64')}\n`);
+    const changed = writeKnownHosts(`${name} ssh-rsa ${randomBytes(64).toString('base64')}\n`);
+    const unknown = writeKnownHosts(`bastion.example.com ssh-rsa ${publicKey.toString('base64')}\n`);
+    try {
+      const results = [
+        await read(await open({ ...server, ssh: { ...server.ssh, knownHostsFile: trusted } })),
+        await readError(await open({ ...server, ssh: { ...server.ssh, knownHostsFile: changed } })),
+        await readError(await open({ ...server, ssh: { ...server.ssh, knownHostsFile: unknown } })),
+      ];
+
+      expect(results[0]).to.eql('hello');
+      expect(results[1].message).to.match(/does not match the key of the known hosts file/);
+      expect(results[2].message).to.match(/is not in the known hosts file$/);
+    } finally {
+      [trusted, changed, unknown].forEach((filename) => fs.unlinkSync(filename));
+    }
+  });
+
+  it('should connect the servers of db.createServer through the jump hosts', async () => {
+    const [sshPort, targetPort] = await Promise.all([createSshStub(), createTargetStub()]);
+    const hop = {
+      host: '127.0.0.1', port: sshPort, user: 'admin', password: 'secret',
+    };
+    const dbServer = db.createServer({
+      client: 'postgresql',
+      host: '127.0.0.1',
+      port: targetPort,
+      ssh: { ...hop, jumpHosts: [hop] },
+    });
+
+    try {
+      // the stub is not a database, only the tunnel is checked
+      await dbServer.createConnection('postgres').connect().catch(() => {});
+
+      expect(forwarded).to.eql([sshPort, targetPort]);
+    } finally {
+      dbServer.end();
+    }
+  });
+
+  describe('.getConnectOptions', () => {
+    const authSock = process.env.SSH_AUTH_SOCK;
+
+    afterEach(() => {
+      if (authSock === undefined) {
+        delete process.env.SSH_AUTH_SOCK;
+      } else {
+        process.env.SSH_AUTH_SOCK = authSock;
+      }
+    });
+
+    it('should authenticate with the ssh-agent', async () => {
+      process.env.SSH_AUTH_SOCK = '/tmp/ssh-agent.sock';
+
+      expect(await tunnel.getConnectOptions({ host: 'bastion.example.com', user: 'admin', agent: true })).to.eql({
+        host: 'bastion.example.com', port: 22, username: 'admin', agent: '/tmp/ssh-agent.sock',
+      });
+    });
+
+    it('should fail when the ssh-agent is not running', async () => {
+      delete process.env.SSH_AUTH_SOCK;
+
+      let error;
+      try {
+        await tunnel.getConnectOptions({ host: 'bastion.example.com', user: 'admin', agent: true });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.eql('The SSH agent is not running, SSH_AUTH_SOCK is not set');
+    });
+  });
+});
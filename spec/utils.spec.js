@@ -1,6 +1,16 @@
-import { expect } from 'chai';
+import fs from 'fs';
+import { tmpdir } from 'os';
 import { join } from 'path';
-import { getConfigPath, versionCompare } from '../src/utils';
+import { expect } from 'chai';
+import {
+  getConfigPath,
+  getProjectConfigPath,
+  setProfile,
+  readJSONFile,
+  versionCompare,
+  writeJSONFile,
+  writeJSONFileSync,
+} from '../src/utils';
 
 describe('utils', () => {
   describe('.versionCompare', () => {
@@ -37,9 +47,105 @@ describe('utils', () => {
         expect(getConfigPath()).to.be.eql(join(process.env.SQLECTRON_HOME, 'sqlectron.json'));
       });
 
+      it('should get the config of the active profile', () => {
+        setProfile('client-a');
+        try {
+          expect(getConfigPath()).to.be.eql(join(process.env.SQLECTRON_HOME, 'profiles', 'client-a', 'sqlectron.json'));
+        } finally {
+          setProfile(null);
+        }
+      });
+
       after(() => {
         process.env = env;
       });
     });
   });
+
+  describe('.getProjectConfigPath', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(join(tmpdir(), 'sqlectron-project-'));
+      fs.mkdirSync(join(dir, 'src'));
+      fs.mkdirSync(join(dir, 'src', 'nested'));
+    });
+
+    afterEach(() => {
+      const filename = join(dir, '.sqlectron.json');
+      if (fs.existsSync(filename)) { fs.unlinkSync(filename); }
+      fs.rmdirSync(join(dir, 'src', 'nested'));
+      fs.rmdirSync(join(dir, 'src'));
+      fs.rmdirSync(dir);
+    });
+
+    it('should find the closest project configuration file', () => {
+      fs.writeFileSync(join(dir, '.sqlectron.json'), '{}');
+      expect(getProjectConfigPath(join(dir, 'src', 'nested'))).to.eql(join(dir, '.sqlectron.json'));
+    });
+
+    it('should return null without project configuration file', () => {
+      expect(getProjectConfigPath(join(dir, 'src'))).to.eql(null);
+    });
+  });
+
+  [
+    ['.writeJSONFile', writeJSONFile],
+    ['.writeJSONFileSync', writeJSONFileSync],
+  ].forEach(([name, write]) => {
+    describe(name, () => {
+      let dir;
+      let filename;
+
+      beforeEach(() => {
+        dir = fs.mkdtempSync(join(tmpdir(), 'sqlectron-'));
+        filename = join(dir, 'sqlectron.json');
+      });
+
+      afterEach(() => {
+        fs.readdirSync(dir).forEach((file) => fs.unlinkSync(join(dir, file)));
+        fs.rmdirSync(dir);
+      });
+
+      it('should write the file without leaving temporary files behind', async () => {
+        await write(filename, { servers: [] });
+
+        expect(await readJSONFile(filename)).to.eql({ servers: [] });
+        expect(fs.readdirSync(dir)).to.eql(['sqlectron.json']);
+      });
+
+      it('should keep the previous version as backup', async () => {
+        await write(filename, { version: 1 });
+        await write(filename, { version: 2 });
+
+        expect(await readJSONFile(filename)).to.eql({ version: 2 });
+        expect(await readJSONFile(`${filename}.bak`)).to.eql({ version: 1 });
+      });
+
+      it('should not replace the backup with a corrupted file', async () => {
+        await write(filename, { version: 1 });
+        await write(filename, { version: 2 });
+        fs.writeFileSync(filename, '{ "vers');
+        await write(filename, { version: 3 });
+
+        expect(await readJSONFile(`${filename}.bak`)).to.eql({ version: 1 });
+      });
+
+      it('should remove the temporary file when the write fails', async () => {
+        const dirname = join(dir, 'folder');
+        fs.mkdirSync(dirname);
+
+        let error;
+        try {
+          await write(dirname, { version: 1 });
+        } catch (err) {
+          error = err;
+        }
+
+        fs.rmdirSync(dirname);
+        expect(error).to.be.instanceof(Error);
+        expect(fs.readdirSync(dir)).to.eql([]);
+      });
+    });
+  });
 });
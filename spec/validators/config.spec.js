@@ -0,0 +1,107 @@
+import { expect } from 'chai';
+import { validate, formatPath } from '../../src/validators/config';
+
+const server = {
+  id: 'c94cbafa-8977-4142-9f34-c84d382d8731',
+  name: 'pg-vm',
+  client: 'postgresql',
+  host: '10.10.10.10',
+  port: 5432,
+  user: 'user',
+  password: 'password',
+  database: 'company',
+  ssl: false,
+};
+
+describe('validators/config', () => {
+  describe('validate', () => {
+    it('should validate a valid configuration', () => {
+      const config = {
+        resultItemsPerPage: 50,
+        limitQueryDefaultSelectTop: 100,
+        servers: [server],
+      };
+      expect(validate(config)).to.eql([]);
+    });
+
+    it('should fail when the configuration is not an object', () => {
+      const errors = validate([]);
+      expect(errors).to.have.length(1);
+      expect(errors[0]).to.include({ path: '$', validator: 'plainObject' });
+    });
+
+    it('should fail when servers is not an array', () => {
+      const errors = validate({ servers: 'none' });
+      expect(errors.map((err) => err.path)).to.eql(['$.servers']);
+      expect(errors[0].validator).to.eql('array');
+    });
+
+    it('should fail on invalid top level settings', () => {
+      const errors = validate({ servers: [], limitQueryDefaultSelectTop: '100' });
+      expect(errors.map((err) => err.path)).to.eql(['$.limitQueryDefaultSelectTop']);
+      expect(errors[0]).to.include({ validator: 'integer', message: 'Invalid integer value.' });
+    });
+
+    it('should validate every setting with its definition', () => {
+      const errors = validate({
+        servers: [],
+        resultItemsPerPage: 0,
+        limitQueryDefaultSelectTop: 10,
+        historyRedactLiterals: 'yes',
+      });
+      expect(errors.map((err) => [err.path, err.validator])).to.eql([
+        ['$.resultItemsPerPage', 'range'],
+        ['$.historyRedactLiterals', 'bool'],
+      ]);
+    });
+
+    it('should report the path of every invalid server field', () => {
+      const errors = validate({
+        servers: [
+          server,
+          'garbage',
+          { ...server, id: 'b5b1cb0d-7b4b-4a8b-8fb8-bd6e4a0b3b5f', name: '', ssh: { host: 'bastion', port: 22 } },
+        ],
+      });
+      expect(errors.map((err) => err.path)).to.eql([
+        '$.servers[1]',
+        '$.servers[2].name',
+        '$.servers[2].ssh.user',
+      ]);
+    });
+
+    it('should fail on duplicated server ids', () => {
+      const errors = validate({ servers: [server, { ...server }] });
+      expect(errors).to.have.length(1);
+      expect(errors[0]).to.include({ path: '$.servers[1].id', validator: 'uniqueId' });
+    });
+
+    it('should validate the templates as partial servers', () => {
+      const errors = validate({
+        servers: [],
+        templates: [
+          { id: '1', name: 'bastion', server: { port: 5432, ssh: { host: 'bastion', port: 22, user: 'core' } } },
+          { id: '2', name: '', server: { client: 'fake-client' } },
+          { id: '1', name: 'duplicated', server: {} },
+        ],
+      });
+      expect(errors.map((err) => err.path)).to.eql([
+        '$.templates[1].name',
+        '$.templates[1].server.client',
+        '$.templates[2].id',
+      ]);
+    });
+
+    it('should not change the validated data', () => {
+      const config = { servers: [{ ...server, name: ' pg-vm ', port: '5432' }] };
+      validate(config);
+      expect(config.servers[0]).to.include({ name: ' pg-vm ', port: '5432' });
+    });
+  });
+
+  describe('formatPath', () => {
+    it('should format path segments as a JSON path', () => {
+      expect(formatPath(['servers', 2, 'ssh', 'port'])).to.eql('$.servers[2].ssh.port');
+    });
+  });
+});
@@ -1,3 +1,4 @@
+/* eslint no-template-curly-in-string: 0 */
 import { expect } from 'chai';
 import { validate, validateUniqueId } from '../../src/validators/server';
 
@@ -130,6 +131,196 @@ describe('validators/server', () => {
     });
   });
 
+  describe('groups and tags', () => {
+    const server = {
+      name: 'pg-vm',
+      client: 'postgresql',
+      host: '10.10.10.10',
+      port: 5432,
+      ssl: false,
+    };
+
+    it('should normalize the group and the tags', async () => {
+      const srv = { ...server, group: ' Production / EU ', tags: [' critical '] };
+      await validate(srv);
+      expect(srv).to.include({ group: 'Production/EU' });
+      expect(srv.tags).to.eql(['critical']);
+    });
+
+    [
+      { group: 'Production//EU' },
+      { group: ['Production'] },
+      { tags: 'critical' },
+      { tags: ['critical', ''] },
+      { tags: ['critical', 'critical'] },
+    ].forEach((fields) => {
+      it(`should not validate ${JSON.stringify(fields)}`, (done) => {
+        validate({ ...server, ...fields })
+          .then(() => done(new Error('should have thrown error')))
+          .catch(() => done());
+      });
+    });
+  });
+
+  describe('safety', () => {
+    const server = {
+      name: 'pg-vm',
+      client: 'postgresql',
+      host: '10.10.10.10',
+      port: 5432,
+      ssl: false,
+    };
+
+    it('should validate the safety settings', async () => {
+      await validate({
+        ...server,
+        safety: {
+          readOnly: true,
+          confirmDestructive: true,
+          statementTimeout: 30000,
+          selectLimit: 100,
+          production: true,
+          color: '#d9534f',
+        },
+      });
+    });
+
+    [
+      { safety: true },
+      { safety: { readOnly: 'yes' } },
+      { safety: { statementTimeout: 0 } },
+      { safety: { selectLimit: -1 } },
+      { safety: { color: 'red' } },
+    ].forEach((fields) => {
+      it(`should not validate ${JSON.stringify(fields)}`, (done) => {
+        validate({ ...server, ...fields })
+          .then(() => done(new Error('should have thrown error')))
+          .catch(() => done());
+      });
+    });
+  });
+
+  describe('ssl', () => {
+    const server = {
+      name: 'pg-vm',
+      client: 'postgresql',
+      host: '10.10.10.10',
+      port: 5432,
+    };
+
+    it('should validate the ssl settings', async () => {
+      await validate({
+        ...server,
+        ssl: {
+          mode: 'verify-full',
+          ca: '~/.postgresql/root.crt',
+          cert: '~/.postgresql/postgresql.crt',
+          key: '${env:HOME}/.postgresql/postgresql.key',
+          passphrase: 'passphrase',
+          servername: 'db.example.com',
+          minVersion: 'TLSv1.2',
+        },
+      });
+    });
+
+    it('should migrate the legacy boolean value', async () => {
+      const srv = { ...server, ssl: true };
+      await validate(srv);
+      expect(srv.ssl).to.eql({ mode: 'require' });
+    });
+
+    it('should keep the prefer mode', async () => {
+      const srv = { ...server, ssl: { mode: 'prefer', ca: '~/ca.crt' } };
+      await validate(srv);
+      expect(srv.ssl).to.eql({ mode: 'prefer', ca: '~/ca.crt' });
+    });
+
+    it('should only validate the modes encrypting the connection for mysql and sqlserver', async () => {
+      await validate({ ...server, client: 'mysql', ssl: { mode: 'require' } });
+      await validate({ ...server, client: 'sqlserver', ssl: { mode: 'disable' } });
+      await validate({ ...server, client: 'mariadb', ssl: { mode: 'prefer' } });
+
+      let error;
+      try {
+        await validate({ ...server, client: 'mysql', ssl: { mode: 'verify-full', ca: '~/ca.crt' } });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.validationErrors.ssl[0].msg).to.eql(
+        'Not supported by this client, it only encrypts the connection: mode verify-full, ca.',
+      );
+    });
+
+    [
+      { ssl: 'require' },
+      { ssl: {} },
+      { ssl: { mode: 'allow' } },
+      { ssl: { mode: 'require', cert: '~/client.crt' } },
+      { ssl: { mode: 'require', ca: '${home:ca.crt}' } },
+      { ssl: { mode: 'require', minVersion: 'SSLv3' } },
+      { client: 'mariadb', ssl: { mode: 'verify-ca' } },
+      { client: 'sqlserver', ssl: { mode: 'require', servername: 'db.example.com' } },
+    ].forEach((fields) => {
+      it(`should not validate ${JSON.stringify(fields)}`, (done) => {
+        validate({ ...server, ...fields })
+          .then(() => done(new Error('should have thrown error')))
+          .catch(() => done());
+      });
+    });
+  });
+
+  describe('ssh', () => {
+    const server = {
+      name: 'pg-vm',
+      client: 'postgresql',
+      host: 'db.internal',
+      port: 5432,
+      ssl: false,
+    };
+    const ssh = { host: 'bastion-2.example.com', user: 'admin', agent: true };
+
+    it('should validate the jump hosts, agent and host key settings', async () => {
+      const srv = {
+        ...server,
+        ssh: {
+          ...ssh,
+          hostFingerprint: ' SHA256:ocUJ3yHOxJr2aFq449utYN/LA3zAqzsLUsYS8q5uzKQ ',
+          knownHostsFile: '~/.ssh/known_hosts',
+          jumpHosts: [
+            {
+              host: ' bastion-1.example.com ',
+              port: '2222',
+              user: 'jump',
+              privateKey: '${env:HOME}/.ssh/id_ed25519',
+              passphrase: ' passphrase ',
+            },
+          ],
+        },
+      };
+      await validate(srv);
+
+      expect(srv.ssh.hostFingerprint).to.eql('SHA256:ocUJ3yHOxJr2aFq449utYN/LA3zAqzsLUsYS8q5uzKQ');
+      expect(srv.ssh.jumpHosts[0]).to.include({ host: 'bastion-1.example.com', port: 2222, passphrase: 'passphrase' });
+    });
+
+    [
+      { agent: 'yes' },
+      { agent: true, privateKey: '~/.ssh/id_rsa' },
+      { hostFingerprint: 'MD5:16:27:ac:a5:76:28:2d:36:63:1b:56:4d:eb:df:a6:48' },
+      { knownHostsFile: '${home:.ssh/known_hosts}' },
+      { jumpHosts: { host: 'bastion-1.example.com', user: 'jump' } },
+      { jumpHosts: [{ user: 'jump' }] },
+      { jumpHosts: [{ host: 'bastion-1.example.com', user: 'jump', password: '' }] },
+    ].forEach((fields) => {
+      it(`should not validate ${JSON.stringify(fields)}`, (done) => {
+        validate({ ...server, ssh: { ...ssh, ...fields } })
+          .then(() => done(new Error('should have thrown error')))
+          .catch(() => done());
+      });
+    });
+  });
+
   describe('validateUniqueId', () => {
     [undefined, null].forEach((serverId) => {
       it(`should throw when serverId is ${JSON.stringify(serverId)}`, () => {
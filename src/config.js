@@ -1,93 +1,338 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import { basename, dirname } from 'path';
 import { v4 as uuidv4 } from 'uuid';
+import createLogger from 'sqlectron-db-core/logger';
 import * as utils from './utils';
-import * as crypto from './crypto';
+import * as secrets from './secrets';
+import * as migrations from './migrations';
+import * as lock from './lock';
+import * as ssl from './ssl';
+import { SETTINGS } from './settings';
+import {
+  validate as validateConfig,
+  validateSetting,
+  ConfigValidationError,
+} from './validators/config';
 
-const EMPTY_CONFIG = { servers: [] };
+export { ConfigValidationError, SETTINGS };
+export { LockTimeoutError } from './lock';
 
-function sanitizeServer(server, cryptoSecret) {
+export class ConfigConflictError extends Error {
+  constructor(revision, currentRevision) {
+    super(`Configuration revision ${revision} is outdated, the current revision is ${currentRevision}`);
+    this.name = 'ConfigConflictError';
+    this.revision = revision;
+    this.currentRevision = currentRevision;
+  }
+}
+
+export class ReadOnlyLayerError extends Error {
+  constructor(layer) {
+    super(`The ${layer} configuration is read only`);
+    this.name = 'ReadOnlyLayerError';
+    this.layer = layer;
+  }
+}
+
+const logger = createLogger('config');
+
+/**
+ * Configuration layers from the lowest to the highest precedence:
+ * - system: read only file shared by every user of the machine (utils.getSystemConfigPath)
+ * - user: the user configuration file (utils.getConfigPath)
+ * - project: the closest .sqlectron.json from the working directory (utils.getProjectConfigPath)
+ * - env: settings from SQLECTRON_SETTING_* environment variables,
+ *   e.g. SQLECTRON_SETTING_RESULT_ITEMS_PER_PAGE=100
+ */
+export const LAYERS = ['system', 'user', 'project', 'env'];
+const FILE_LAYERS = ['system', 'user', 'project'];
+const WRITABLE_LAYERS = ['user', 'project'];
+const ENV_SETTING_PREFIX = 'SQLECTRON_SETTING_';
+
+const EMPTY_CONFIG = { version: migrations.CURRENT_VERSION, servers: [] };
+
+const PROFILE_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/;
+
+// fields managed by sqlectron instead of the user
+const INTERNAL_FIELDS = [
+  'servers', 'version', 'revision', 'masterPassword', 'secretStore', 'templates', 'snippets',
+];
+
+// wait for a burst of file system events to finish before reloading the file
+const WATCH_DELAY = 100;
+
+const emitter = new EventEmitter();
+let snapshot = null;
+let watcher = null;
+let watchTimer = null;
+
+function sanitizeServer(server, context) {
   const srv = { ...server };
 
   // ensure has an unique id
   if (!srv.id) { srv.id = uuidv4(); }
 
-  // ensure has the new fileld SSL
-  srv.ssl = srv.ssl || false;
+  // migrate the ssl: true/false of the servers saved before the SSL settings
+  if (typeof srv.ssl === 'boolean') { srv.ssl = ssl.normalize(srv.ssl); }
 
-  // ensure all secret fields are encrypted
+  // ensure all secret fields are encrypted or saved in the secret store
   if (typeof srv.encrypted === 'undefined') {
     srv.encrypted = true;
 
-    if (srv.password) {
-      srv.password = crypto.encrypt(srv.password, cryptoSecret);
-    }
-
-    if (srv.ssh && srv.ssh.password) {
-      srv.ssh.password = crypto.encrypt(srv.ssh.password, cryptoSecret);
-    }
-  } else if (srv.encrypted) {
-    if (srv.password && typeof srv.password === 'string') {
-      srv.password = crypto.encrypt(
-        crypto.unsafeDecrypt(srv.password, cryptoSecret),
-        cryptoSecret,
-      );
-    }
-    if (srv.ssh && srv.ssh.password && typeof srv.ssh.password === 'string') {
-      srv.ssh.password = crypto.encrypt(
-        crypto.unsafeDecrypt(srv.ssh.password, cryptoSecret),
-        cryptoSecret,
-      );
-    }
+    return secrets.mapSecretValues(srv, (value, field) => (
+      secrets.save(`${srv.id}:${field}`, value, context)
+    ));
   }
 
   return srv;
 }
 
 function sanitizeServers(data, cryptoSecret) {
+  if (!Array.isArray(data.servers)) {
+    return data.servers;
+  }
+
+  const context = { cryptoSecret, settings: data.secretStore };
+
+  // entries that are not objects are left as they are for the validation to report
   return data.servers
-    .map((server) => sanitizeServer(server, cryptoSecret));
+    .map((server) => (isPlainObject(server) ? sanitizeServer(server, context) : server));
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// fix what is possible to fix without losing any connection and flag every error
+// with whether it was repaired or still needs the user attention
+function repairConfig(data, errors) {
+  /* eslint no-param-reassign: 0 */
+  if (!isPlainObject(data)) {
+    errors.forEach((error) => { error.repaired = true; });
+    return { ...EMPTY_CONFIG, servers: [] };
+  }
+
+  const result = { ...data };
+  const removedServers = [];
+  const removedTemplates = [];
+  const removedSnippets = [];
+
+  errors.forEach((error) => {
+    const [key, index, field] = error.segments;
+    error.repaired = true;
+
+    if (key === 'templates' && index !== undefined) {
+      // templates are easy to create again, the invalid ones are dropped
+      removedTemplates.push(index);
+    } else if (key === 'snippets' && index !== undefined) {
+      removedSnippets.push(index);
+    } else if (key !== 'servers') {
+      delete result[key];
+    } else if (index === undefined) {
+      result.servers = [];
+    } else if (field === undefined) {
+      removedServers.push(index);
+    } else if (field === 'id' && error.validator === 'uniqueId') {
+      result.servers[index] = { ...result.servers[index], id: uuidv4() };
+    } else {
+      error.repaired = false;
+    }
+  });
+
+  if (Array.isArray(result.servers)) {
+    result.servers = result.servers.filter((srv, index) => !removedServers.includes(index));
+  }
+
+  if (removedTemplates.length) {
+    result.templates = result.templates.filter((tpl, index) => !removedTemplates.includes(index));
+  }
+
+  if (removedSnippets.length) {
+    result.snippets = result.snippets.filter((snippet, index) => !removedSnippets.includes(index));
+  }
+
+  return result;
+}
+
+// every write increments the revision, so outdated snapshots can be detected
+function withNextRevision(data, current) {
+  if (!isPlainObject(data)) { return data; }
+
+  const revision = isPlainObject(current) && current.revision;
+  return { ...data, revision: Number.isInteger(revision) ? revision + 1 : 1 };
+}
+
+// copy of the file kept before migrating it, e.g. sqlectron.json.v0.bak
+function getBackupPath(filename, data) {
+  return `${filename}.v${migrations.getVersion(data)}.bak`;
 }
 
 /**
- * Prepare the configuration file sanitizing and validating all fields availbale
+ * Migrate, sanitize and validate the configuration data.
+ * Depending on options.onInvalid it throws a ConfigValidationError ("throw")
+ * or repairs the data ("repair") returning the errors as a report.
  */
-export async function prepare(cryptoSecret) {
-  const filename = utils.getConfigPath();
-  const fileExistsResult = await utils.fileExists(filename);
-  if (!fileExistsResult) {
-    await utils.createParentDirectory(filename);
-    await utils.writeJSONFile(filename, EMPTY_CONFIG);
+function prepareData(data, cryptoSecret, { onInvalid = 'repair' } = {}, layer = 'user') {
+  let sanitized = data;
+  if (isPlainObject(data)) {
+    sanitized = migrations.migrate(data, { cryptoSecret });
+    sanitized = { ...sanitized, servers: sanitizeServers(sanitized, cryptoSecret) };
   }
 
-  const result = await utils.readJSONFile(filename);
+  const errors = validateConfig(sanitized).map((error) => ({ ...error, layer }));
+  if (errors.length && onInvalid === 'throw') {
+    throw new ConfigValidationError(errors);
+  }
 
-  result.servers = sanitizeServers(result, cryptoSecret);
+  return {
+    data: errors.length ? repairConfig(sanitized, errors) : sanitized,
+    errors,
+  };
+}
 
-  await utils.writeJSONFile(filename, result);
+async function prepareFile(filename, cryptoSecret, options, layer) {
+  await utils.createParentDirectory(filename);
 
-  // TODO: Validate whole configuration file
-  // if (!configValidate(result)) {
-  //   throw new Error('Invalid ~/.sqlectron.json file format');
-  // }
+  return lock.withLock(filename, async () => {
+    const fileExistsResult = await utils.fileExists(filename);
+    if (!fileExistsResult) {
+      await utils.writeJSONFile(filename, EMPTY_CONFIG);
+    }
+
+    const result = await readConfigFile(filename);
+    if (isPlainObject(result) && migrations.needsMigration(result)) {
+      await utils.copyFile(filename, getBackupPath(filename, result));
+    }
+
+    const secret = secrets.resolveCryptoSecret(cryptoSecret, result);
+    const { data, errors } = prepareData(result, secret, options, layer);
+
+    const newData = withNextRevision(data, result);
+    await utils.writeJSONFile(filename, newData);
+    publish(newData, result, layer);
+
+    return errors;
+  });
 }
 
-export function prepareSync(cryptoSecret) {
-  const filename = utils.getConfigPath();
-  const fileExistsResult = utils.fileExistsSync(filename);
-  if (!fileExistsResult) {
-    utils.createParentDirectorySync(filename);
-    utils.writeJSONFileSync(filename, EMPTY_CONFIG);
+function prepareFileSync(filename, cryptoSecret, options, layer) {
+  utils.createParentDirectorySync(filename);
+
+  return lock.withLockSync(filename, () => {
+    const fileExistsResult = utils.fileExistsSync(filename);
+    if (!fileExistsResult) {
+      utils.writeJSONFileSync(filename, EMPTY_CONFIG);
+    }
+
+    const result = readConfigFileSync(filename);
+    if (isPlainObject(result) && migrations.needsMigration(result)) {
+      utils.copyFileSync(filename, getBackupPath(filename, result));
+    }
+
+    const secret = secrets.resolveCryptoSecret(cryptoSecret, result);
+    const { data, errors } = prepareData(result, secret, options, layer);
+
+    const newData = withNextRevision(data, result);
+    utils.writeJSONFileSync(filename, newData);
+    publish(newData, result, layer);
+
+    return errors;
+  });
+}
+
+// a migration only changing the version is not worth rewriting a shared file
+function changedByMigration(data, migrated) {
+  const { version, ...rest } = data;
+  const { version: newVersion, ...migratedRest } = migrated;
+  return JSON.stringify(rest) !== JSON.stringify(migratedRest);
+}
+
+function validateSharedData(data, { onInvalid = 'repair' } = {}, layer) {
+  const errors = validateConfig(data).map((error) => ({ ...error, layer, repaired: false }));
+  if (errors.length && onInvalid === 'throw') {
+    throw new ConfigValidationError(errors);
+  }
+  return errors;
+}
+
+/**
+ * The project file is shared by the team, so it is only validated: its errors are
+ * not repaired, its servers keep their ids and secrets as they are and it is only
+ * written when a migration changes it. The secrets use the user master password.
+ */
+async function prepareSharedFile(filename, cryptoSecret, options, layer) {
+  const current = await readConfigFile(filename);
+  if (!isPlainObject(current) || !migrations.needsMigration(current)) {
+    return validateSharedData(current, options, layer);
+  }
+
+  const secret = secrets.resolveCryptoSecret(cryptoSecret, await get());
+  return lock.withLock(filename, async () => {
+    const result = await readConfigFile(filename);
+    const data = migrations.migrate(result, { cryptoSecret: secret });
+    const errors = validateSharedData(data, options, layer);
+
+    if (changedByMigration(result, data)) {
+      await utils.copyFile(filename, getBackupPath(filename, result));
+      await utils.writeJSONFile(filename, data);
+      publish(data, result, layer);
+    }
+    return errors;
+  });
+}
+
+function prepareSharedFileSync(filename, cryptoSecret, options, layer) {
+  const current = readConfigFileSync(filename);
+  if (!isPlainObject(current) || !migrations.needsMigration(current)) {
+    return validateSharedData(current, options, layer);
   }
 
-  const result = utils.readJSONFileSync(filename);
+  const secret = secrets.resolveCryptoSecret(cryptoSecret, getSync());
+  return lock.withLockSync(filename, () => {
+    const result = readConfigFileSync(filename);
+    const data = migrations.migrate(result, { cryptoSecret: secret });
+    const errors = validateSharedData(data, options, layer);
+
+    if (changedByMigration(result, data)) {
+      utils.copyFileSync(filename, getBackupPath(filename, result));
+      utils.writeJSONFileSync(filename, data);
+      publish(data, result, layer);
+    }
+    return errors;
+  });
+}
+
+/**
+ * Prepare the configuration file sanitizing and validating all fields availbale.
+ * The project configuration file is validated too when there is one, see
+ * prepareSharedFile, the read only layers are never changed.
+ *
+ * @param {string} cryptoSecret
+ * @param {Object} [options]
+ * @param {string} [options.onInvalid='repair'] "throw" to fail on an invalid file
+ * without touching it or "repair" to fix and save it anyway
+ * When the secrets are protected by a master password it must be unlocked first.
+ * @returns {Promise<Object[]>} the validation errors found, with the layer of the file
+ */
+export async function prepare(cryptoSecret, options) {
+  const errors = await prepareFile(utils.getConfigPath(), cryptoSecret, options, 'user');
 
-  result.servers = sanitizeServers(result, cryptoSecret);
+  const projectPath = utils.getProjectConfigPath();
+  if (projectPath) {
+    errors.push(...await prepareSharedFile(projectPath, cryptoSecret, options, 'project'));
+  }
+  return errors;
+}
 
-  utils.writeJSONFileSync(filename, result);
+export function prepareSync(cryptoSecret, options) {
+  const errors = prepareFileSync(utils.getConfigPath(), cryptoSecret, options, 'user');
 
-  // TODO: Validate whole configuration file
-  // if (!configValidate(result)) {
-  //   throw new Error('Invalid ~/.sqlectron.json file format');
-  // }
+  const projectPath = utils.getProjectConfigPath();
+  if (projectPath) {
+    errors.push(...prepareSharedFileSync(projectPath, cryptoSecret, options, 'project'));
+  }
+  return errors;
 }
 
 export function path() {
@@ -95,26 +340,508 @@ export function path() {
   return utils.resolveHomePathToAbsolute(filename);
 }
 
-export function get() {
-  const filename = utils.getConfigPath();
-  return utils.readJSONFile(filename);
+function getLayerPath(layer) {
+  if (!LAYERS.includes(layer)) {
+    throw new Error(`Unknown configuration layer: ${layer}`);
+  }
+
+  if (layer === 'system') { return utils.getSystemConfigPath(); }
+  if (layer === 'user') { return utils.getConfigPath(); }
+  if (layer === 'project') { return utils.getProjectConfigPath(); }
+  return null;
 }
 
-export function getSync() {
-  const filename = utils.getConfigPath();
-  return utils.readJSONFileSync(filename);
+function getFilePath(layer) {
+  const filename = getLayerPath(layer);
+  if (!filename) {
+    throw new Error(`There is no ${layer} configuration file`);
+  }
+  return filename;
 }
 
+function getWritablePath(layer) {
+  if (!WRITABLE_LAYERS.includes(layer)) {
+    throw new ReadOnlyLayerError(layer);
+  }
+  return getFilePath(layer);
+}
 
-export function save(data) {
-  const filename = utils.getConfigPath();
-  return utils.writeJSONFile(filename, data);
+/**
+ * The configuration layers, see LAYERS
+ *
+ * @returns {Array<Object>} { name, path, writable } path is null when there is no file
+ */
+export function getLayers() {
+  return LAYERS.map((name) => ({
+    name,
+    path: getLayerPath(name),
+    writable: WRITABLE_LAYERS.includes(name),
+  }));
+}
+
+function validateProfileName(name) {
+  if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid profile name: ${name}. Use letters, numbers, ".", "_" and "-"`);
+  }
+}
+
+function profileExists(name) {
+  return name === utils.DEFAULT_PROFILE || utils.fileExists(utils.getProfileConfigPath(name));
+}
+
+/**
+ * The profiles, each one with its own servers, settings and secrets.
+ * The default profile, using the usual configuration file, is always listed first.
+ *
+ * @returns {Promise<Object[]>} { name, path, active }
+ */
+export async function listProfiles() {
+  const names = (await utils.listDirectories(utils.getProfilesPath()))
+    .filter((name) => name !== utils.DEFAULT_PROFILE && PROFILE_NAME_PATTERN.test(name));
+  const exists = await Promise.all(names.map(profileExists));
+  const active = utils.getProfile();
+
+  return [utils.DEFAULT_PROFILE, ...names.filter((name, index) => exists[index]).sort()]
+    .map((name) => ({ name, path: utils.getProfileConfigPath(name), active: name === active }));
+}
+
+/**
+ * Creates an empty profile. Switch to it and prepare it to start using it.
+ */
+export async function createProfile(name) {
+  validateProfileName(name);
+  if (await profileExists(name)) {
+    throw new Error(`Profile already exists: ${name}`);
+  }
+
+  const filename = utils.getProfileConfigPath(name);
+  await utils.createParentDirectory(filename);
+  await utils.writeJSONFile(filename, withNextRevision(EMPTY_CONFIG));
+  return { name, path: filename, active: false };
+}
+
+/**
+ * Changes the active profile, every following operation uses its configuration file.
+ * The secrets are locked again since the master password belongs to the previous profile,
+ * the file is watched instead of the previous one when watching.
+ */
+export async function switchProfile(name) {
+  if (name !== utils.DEFAULT_PROFILE) {
+    validateProfileName(name);
+  }
+  if (!(await profileExists(name))) {
+    throw new Error(`Profile not found: ${name}`);
+  }
+
+  const watching = !!watcher;
+  unwatch();
+  secrets.setMasterSecret(null);
+  utils.setProfile(name);
+  if (watching) { watch(); }
+
+  emitter.emit('profile:switched', name);
+}
+
+/**
+ * Removes a profile with all its files, including its secrets file.
+ * Neither the default nor the active profile can be deleted.
+ */
+export async function deleteProfile(name) {
+  if (name === utils.DEFAULT_PROFILE) {
+    throw new Error('The default profile can not be deleted');
+  }
+  validateProfileName(name);
+  if (name === utils.getProfile()) {
+    throw new Error('The active profile can not be deleted, switch to another profile first');
+  }
+  if (!(await profileExists(name))) {
+    throw new Error(`Profile not found: ${name}`);
+  }
+
+  await utils.removeDirectory(dirname(utils.getProfileConfigPath(name)));
+}
+
+/**
+ * Loads a configuration file.
+ * In case it is corrupted (e.g. truncated by a crash) the last good version
+ * kept as backup on saving it is loaded instead.
+ */
+async function readConfigFile(filename) {
+  try {
+    return await utils.readJSONFile(filename);
+  } catch (err) {
+    const backupPath = utils.getBackupPath(filename);
+    if (!(err instanceof SyntaxError) || !(await utils.fileExists(backupPath))) {
+      throw err;
+    }
+
+    logger().error('Unable to parse %s, loading backup %s: %s', filename, backupPath, err.message);
+    return utils.readJSONFile(backupPath);
+  }
+}
+
+function readConfigFileSync(filename) {
+  try {
+    return utils.readJSONFileSync(filename);
+  } catch (err) {
+    const backupPath = utils.getBackupPath(filename);
+    if (!(err instanceof SyntaxError) || !utils.fileExistsSync(backupPath)) {
+      throw err;
+    }
+
+    logger().error('Unable to parse %s, loading backup %s: %s', filename, backupPath, err.message);
+    return utils.readJSONFileSync(backupPath);
+  }
+}
+
+/**
+ * Loads the configuration file of a layer, the user one by default.
+ * Use getLayered for the configuration merging every layer.
+ */
+export async function get({ layer = 'user' } = {}) {
+  return readConfigFile(getFilePath(layer));
+}
+
+export function getSync({ layer = 'user' } = {}) {
+  return readConfigFileSync(getFilePath(layer));
+}
+
+// missing or broken files of the other layers must not prevent using the user configuration
+async function readLayer(layer) {
+  const filename = getLayerPath(layer);
+  if (!filename || !(await utils.fileExists(filename))) {
+    return null;
+  }
+
+  try {
+    return await readConfigFile(filename);
+  } catch (err) {
+    if (layer === 'user') { throw err; }
+    logger().error('Unable to load the %s configuration %s: %s', layer, filename, err.message);
+    return null;
+  }
+}
+
+function parseEnvValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+// SQLECTRON_SETTING_RESULT_ITEMS_PER_PAGE=100 sets resultItemsPerPage
+function getEnvSettings() {
+  return Object.keys(process.env)
+    .filter((name) => name.startsWith(ENV_SETTING_PREFIX))
+    .map((name) => [
+      name.slice(ENV_SETTING_PREFIX.length).toLowerCase()
+        .replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase()),
+      parseEnvValue(process.env[name]),
+    ])
+    .filter(([key]) => key && !INTERNAL_FIELDS.includes(key))
+    .reduce((result, [key, value]) => ({ ...result, [key]: value }), {});
+}
+
+// the shared layers can only change the known settings, e.g. not the secret store,
+// except the userOnly ones
+function getLayerSettings(layer, data) {
+  if (layer === 'env') { return data; }
+
+  const settings = getSettings(data);
+  if (layer === 'user') { return settings; }
+
+  return Object.keys(settings)
+    .filter((key) => Object.prototype.hasOwnProperty.call(SETTINGS, key) && !SETTINGS[key].userOnly)
+    .reduce((result, key) => ({ ...result, [key]: settings[key] }), {});
+}
+
+/**
+ * Loads the configuration merging every layer. The settings of the higher layers
+ * win, the system and project layers only setting the ones of SETTINGS.
+ * The servers of all layers are listed and a server with the same id in a
+ * higher layer replaces the lower one.
+ * The servers without id of the other layers than the user one get one such as "system:0".
+ *
+ * @returns {Promise<Object>} { data, origins } where origins has the layer of each
+ * setting and server: { settings: { [key]: layer }, servers: { [id]: layer } }
+ */
+export async function getLayered() {
+  const files = await Promise.all(FILE_LAYERS.map(readLayer));
+  const layers = [
+    ...FILE_LAYERS.map((layer, index) => [layer, files[index]]),
+    ['env', getEnvSettings()],
+  ];
+
+  const origins = { settings: {}, servers: {} };
+  const servers = [];
+  let settings = {};
+
+  layers.forEach(([layer, data]) => {
+    if (!isPlainObject(data)) { return; }
+
+    const layerSettings = getLayerSettings(layer, data);
+    Object.keys(layerSettings).forEach((key) => { origins.settings[key] = layer; });
+    settings = { ...settings, ...layerSettings };
+
+    (Array.isArray(data.servers) ? data.servers : []).forEach((server, index) => {
+      if (!isPlainObject(server)) { return; }
+
+      // config.prepare only sets the ids of the user servers
+      const srv = server.id || layer === 'user' ? server : { ...server, id: `${layer}:${index}` };
+
+      const existing = srv.id ? servers.findIndex((item) => item.id === srv.id) : -1;
+      if (existing === -1) {
+        servers.push(srv);
+      } else {
+        servers[existing] = srv;
+      }
+      if (srv.id) { origins.servers[srv.id] = layer; }
+    });
+  });
+
+  const { servers: userServers, ...userData } = files[FILE_LAYERS.indexOf('user')] || EMPTY_CONFIG;
+  return {
+    data: { ...userData, ...settings, servers },
+    origins,
+  };
+}
+
+
+/**
+ * Saves the whole configuration.
+ * The data must have been loaded from the latest revision of the file,
+ * otherwise the changes made meanwhile by another writer would be lost
+ * and a ConfigConflictError is thrown instead.
+ * Only the user and project layers are writable, the user one by default.
+ */
+export async function save(data, { layer = 'user' } = {}) {
+  const filename = getWritablePath(layer);
+  return lock.withLock(filename, async () => {
+    const current = await readConfigFile(filename);
+    if (data.revision !== current.revision) {
+      throw new ConfigConflictError(data.revision, current.revision);
+    }
+
+    const newData = withNextRevision(data, current);
+    await utils.writeJSONFile(filename, newData);
+    publish(newData, current, layer);
+    return newData;
+  });
+}
+
+
+/**
+ * Applies changes over the latest configuration holding the file lock,
+ * so concurrent read-modify-write operations don't lose each other's changes.
+ * The modifier receives the current data and returns the data to save.
+ * options.layer sets the file to change, the user one by default.
+ */
+export async function modify(modifier, { layer = 'user' } = {}) {
+  const filename = getWritablePath(layer);
+  return lock.withLock(filename, async () => {
+    const current = await readConfigFile(filename);
+    const newData = withNextRevision(await modifier(current), current);
+    await utils.writeJSONFile(filename, newData);
+    publish(newData, current, layer);
+    return newData;
+  });
+}
+
+
+export function saveSettings(data, options) {
+  return modify((fullData) => ({ ...fullData, ...data }), options);
+}
+
+
+function getSettingDefinition(key) {
+  if (!Object.prototype.hasOwnProperty.call(SETTINGS, key)) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+  return SETTINGS[key];
 }
 
 
-export async function saveSettings(data) {
-  const fullData = await get();
+/**
+ * The value of a setting merging every layer, see getLayered.
+ * The default value is returned when the setting is not set or its value is invalid.
+ */
+export async function getSetting(key) {
+  const definition = getSettingDefinition(key);
+  const { data, origins } = await getLayered();
+  if (data[key] === undefined) {
+    return definition.default;
+  }
+
+  const errors = validateSetting(key, data[key], definition);
+  if (errors.length) {
+    logger().error('Invalid %s setting from the %s configuration, using the default value: %s',
+      key, origins.settings[key], errors[0].message);
+    return definition.default;
+  }
+  return data[key];
+}
+
+
+/**
+ * Validates and saves a setting, in the user layer unless options.layer says otherwise.
+ * Fails with a ConfigValidationError when the value is invalid and when a userOnly
+ * setting is saved in another layer.
+ */
+export async function setSetting(key, value, options) {
+  const definition = getSettingDefinition(key);
+  const layer = (options && options.layer) || 'user';
+  if (definition.userOnly && layer !== 'user') {
+    throw new Error(`The ${key} setting can only be saved in the user configuration`);
+  }
+
+  const errors = validateSetting(key, value, definition);
+  if (errors.length) {
+    throw new ConfigValidationError(errors);
+  }
+
+  await saveSettings({ [key]: value }, options);
+}
+
+
+/**
+ * Removes a setting from a layer, so the value of the lower layers or the default applies.
+ */
+export async function resetSetting(key, options) {
+  getSettingDefinition(key);
+
+  await modify((data) => {
+    const { [key]: removed, ...others } = data;
+    return others;
+  }, options);
+}
+
+
+function indexServers(data) {
+  const servers = isPlainObject(data) && Array.isArray(data.servers) ? data.servers : [];
+  return servers
+    .filter((srv) => isPlainObject(srv) && srv.id)
+    .reduce((result, srv) => ({ ...result, [srv.id]: srv }), {});
+}
+
+function getSettings(data) {
+  if (!isPlainObject(data)) { return {}; }
+
+  return Object.keys(data)
+    .filter((key) => !INTERNAL_FIELDS.includes(key))
+    .reduce((result, key) => ({ ...result, [key]: data[key] }), {});
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function emitChanges(previous, data) {
+  const previousServers = indexServers(previous);
+  const servers = indexServers(data);
+
+  Object.keys(servers).forEach((id) => {
+    if (!previousServers[id]) {
+      emitter.emit('server:added', servers[id]);
+    } else if (!isEqual(previousServers[id], servers[id])) {
+      emitter.emit('server:updated', servers[id], previousServers[id]);
+    }
+  });
+
+  Object.keys(previousServers)
+    .filter((id) => !servers[id])
+    .forEach((id) => emitter.emit('server:removed', previousServers[id]));
+
+  const previousSettings = getSettings(previous);
+  const settings = getSettings(data);
+  const changes = [...new Set([...Object.keys(previousSettings), ...Object.keys(settings)])]
+    .filter((key) => !isEqual(previousSettings[key], settings[key]))
+    .reduce((result, key) => ({ ...result, [key]: settings[key] }), {});
+
+  if (Object.keys(changes).length) {
+    emitter.emit('settings:changed', changes);
+  }
+}
+
+// notifies the subscribers about a change made through this module
+function publish(data, current, layer = 'user') {
+  // only the user file is watched
+  if (layer !== 'user') {
+    emitChanges(current, data);
+    return;
+  }
+
+  // changes made by other processes the watcher has not reloaded yet
+  if (watcher && snapshot) {
+    emitChanges(snapshot, current);
+  }
+
+  emitChanges(current, data);
+  snapshot = data;
+}
+
+async function reload() {
+  try {
+    const data = await utils.readJSONFile(utils.getConfigPath());
+    emitChanges(snapshot, data);
+    snapshot = data;
+  } catch (err) {
+    // the file may be in the middle of being replaced, the next event reloads it
+    logger().error('Unable to reload the configuration file: %s', err.message);
+  }
+}
+
+
+/**
+ * Listen to configuration changes, either made through this module
+ * or by another process when watching the file.
+ *
+ * Events:
+ * - "server:added" (server)
+ * - "server:updated" (server, previousServer)
+ * - "server:removed" (server)
+ * - "settings:changed" (changes) with the new value of each changed setting
+ * - "profile:switched" (name)
+ *
+ * @returns {Function} unsubscribe the listener
+ */
+export function subscribe(event, listener) {
+  emitter.on(event, listener);
+  return () => emitter.removeListener(event, listener);
+}
+
+
+/**
+ * Watch the configuration file for changes made by other processes.
+ *
+ * @returns {Function} stop watching
+ */
+export function watch() {
+  if (watcher) { return unwatch; }
+
   const filename = utils.getConfigPath();
-  const newData = { ...fullData, ...data };
-  return utils.writeJSONFile(filename, newData);
+  // the file created later is reported as added servers and changed settings
+  snapshot = utils.fileExistsSync(filename) ? getSync() : {};
+  utils.createParentDirectorySync(filename);
+
+  // the directory is watched because saving replaces the file
+  watcher = fs.watch(dirname(filename), (eventType, changedFile) => {
+    if (changedFile && changedFile !== basename(filename)) { return; }
+
+    clearTimeout(watchTimer);
+    watchTimer = setTimeout(reload, WATCH_DELAY);
+  });
+  watcher.on('error', (err) => logger().error('Error watching the configuration file: %s', err.message));
+
+  return unwatch;
+}
+
+
+export function unwatch() {
+  clearTimeout(watchTimer);
+  if (watcher) {
+    watcher.close();
+    watcher = null;
+  }
+  snapshot = null;
 }
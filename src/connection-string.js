@@ -0,0 +1,215 @@
+import { URL } from 'url';
+import { basename } from 'path';
+import { CLIENTS } from 'sqlectron-db-core';
+import * as ssl from './ssl';
+
+// URI schemes accepted for each client, the first one is used when formatting
+const SCHEMES = {
+  postgresql: ['postgres', 'postgresql'],
+  redshift: ['redshift'],
+  mysql: ['mysql'],
+  mariadb: ['mariadb'],
+  sqlserver: ['mssql', 'sqlserver'],
+  sqlite: ['sqlite'],
+  cassandra: ['cassandra'],
+};
+
+// clients using the libpq sslmode, sslrootcert, sslcert and sslkey parameters
+const SSLMODE_CLIENTS = ['postgresql', 'redshift'];
+
+// libpq parameters of the ssl fields
+const SSL_FILE_PARAMS = [['ca', 'sslrootcert'], ['cert', 'sslcert'], ['key', 'sslkey']];
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+
+function getClient(scheme) {
+  return Object.keys(SCHEMES).find((client) => SCHEMES[client].includes(scheme));
+}
+
+
+function getClientConfig(client) {
+  return CLIENTS.find((dbClient) => dbClient.key === client) || {};
+}
+
+
+function isSupported(clientConfig, field) {
+  return !(clientConfig.disabledFeatures || []).includes(`server:${field}`);
+}
+
+
+function parseBoolean(value) {
+  const lowerValue = value.toLowerCase();
+  if (TRUE_VALUES.includes(lowerValue)) { return true; }
+  if (FALSE_VALUES.includes(lowerValue)) { return false; }
+  return undefined;
+}
+
+
+function parseSSL(params) {
+  if (params.has('sslmode')) {
+    return ssl.fromLibpq({
+      sslmode: params.get('sslmode'),
+      sslrootcert: params.get('sslrootcert'),
+      sslcert: params.get('sslcert'),
+      sslkey: params.get('sslkey'),
+    });
+  }
+
+  const value = params.get('ssl') || params.get('encrypt');
+  return ssl.normalize(!!value && !!parseBoolean(value));
+}
+
+
+function parseSocketPath(params) {
+  const socketPath = params.get('socketPath') || params.get('socket');
+  if (socketPath) { return socketPath; }
+
+  // libpq style: postgres:///db?host=/var/run/postgresql
+  const host = params.get('host');
+  return host && host.startsWith('/') ? host : undefined;
+}
+
+
+// the malformed escapes such as "%zz" make the whole connection string invalid
+function decode(value, uri) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    throw new Error(`Invalid connection string: ${uri}`);
+  }
+}
+
+
+// sqlite:///C:/db.sqlite has the windows drive after the root slash
+function parseFilePath({ hostname, pathname }, uri) {
+  const filePath = decode(`${hostname}${pathname}`, uri);
+  return /^\/[a-zA-Z]:/.test(filePath) ? filePath.slice(1) : filePath;
+}
+
+
+/**
+ * Parses a connection URI such as postgres://user:pw@host:5432/db?sslmode=require
+ * into a server object. The server is not validated.
+ */
+export function parse(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch (err) {
+    throw new Error(`Invalid connection string: ${uri}`);
+  }
+
+  const scheme = url.protocol.slice(0, -1).toLowerCase();
+  const client = getClient(scheme);
+  if (!client) {
+    throw new Error(`Unsupported connection string scheme: ${scheme}`);
+  }
+
+  const clientConfig = getClientConfig(client);
+  if (!isSupported(clientConfig, 'host')) {
+    const database = parseFilePath(url, uri);
+    return { name: basename(database), client, database };
+  }
+
+  const params = url.searchParams;
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  const database = decode(url.pathname.slice(1), uri);
+  const socketPath = parseSocketPath(params);
+
+  const server = {
+    name: params.get('name') || [host || socketPath, database].filter(Boolean).join('/'),
+    client,
+    ssl: parseSSL(params),
+  };
+
+  if (socketPath && !host) {
+    server.socketPath = socketPath;
+  } else {
+    server.host = host;
+    server.port = url.port ? Number(url.port) : clientConfig.defaultPort;
+  }
+
+  if (database) { server.database = database; }
+
+  // the credentials are in the query when there is no host, e.g. with a socket path
+  const user = url.username ? decode(url.username, uri) : params.get('user');
+  const password = url.password ? decode(url.password, uri) : params.get('password');
+  if (user) { server.user = user; }
+  if (password) { server.password = password; }
+
+  // drop the fields the client does not support
+  Object.keys(server)
+    .filter((field) => !isSupported(clientConfig, field))
+    .forEach((field) => delete server[field]);
+
+  return server;
+}
+
+
+/**
+ * Formats a server as a connection URI.
+ * The password is only included with options.includePassword and must be decrypted.
+ */
+export function format(server, { includePassword = false } = {}) {
+  const schemes = SCHEMES[server.client];
+  if (!schemes) {
+    throw new Error(`Unsupported client for connection strings: ${server.client}`);
+  }
+
+  const clientConfig = getClientConfig(server.client);
+  if (!isSupported(clientConfig, 'host')) {
+    const filePath = (server.database || '').replace(/\\/g, '/');
+    const uriPath = /^[a-zA-Z]:/.test(filePath) ? `/${filePath}` : filePath;
+    return `${schemes[0]}://${encodeURI(uriPath)}`;
+  }
+
+  let password;
+  if (includePassword && server.password) {
+    if (typeof server.password !== 'string') {
+      throw new Error('The password must be decrypted to include it in the connection string');
+    }
+    ({ password } = server);
+  }
+
+  // without a host the credentials go in the query
+  const params = [];
+  let auth = '';
+  if (server.user && !server.host) {
+    params.push(['user', server.user]);
+    if (password) { params.push(['password', password]); }
+  } else if (server.user) {
+    auth = encodeURIComponent(server.user);
+    if (password) { auth += `:${encodeURIComponent(password)}`; }
+    auth += '@';
+  }
+
+  let address = '';
+  if (server.host) {
+    address = server.host.includes(':') ? `[${server.host}]` : server.host;
+    if (server.port) { address += `:${server.port}`; }
+  }
+
+  if (server.socketPath) {
+    params.push(['socketPath', server.socketPath]);
+  }
+  const sslSettings = ssl.normalize(server.ssl);
+  if (ssl.isEnabled(sslSettings) && isSupported(clientConfig, 'ssl')) {
+    if (SSLMODE_CLIENTS.includes(server.client)) {
+      params.push(['sslmode', sslSettings.mode]);
+      SSL_FILE_PARAMS
+        .filter(([field]) => sslSettings[field])
+        .forEach(([field, param]) => params.push([param, sslSettings[field]]));
+    } else {
+      params.push(['ssl', 'true']);
+    }
+  }
+
+  const database = server.database ? `/${encodeURIComponent(server.database)}` : '';
+  const query = params.length
+    ? `?${params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&')}`
+    : '';
+
+  return `${schemes[0]}://${auth}${address}${database}${query}`;
+}
@@ -1,7 +1,69 @@
 // Reference: http://lollyrock.com/articles/nodejs-encryption
 import crypto from 'crypto';
 
-const algorithm = 'aes-256-cbc';
+const algorithm = 'aes-256-gcm';
+const legacyAlgorithm = 'aes-256-cbc';
+
+/**
+ * Version of the encrypted values envelope:
+ * a key derived with scrypt from the secret and a random salt,
+ * used to encrypt the value with AES-256-GCM and a random IV per value.
+ */
+export const ENVELOPE_VERSION = 2;
+
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+
+// scrypt is slow on purpose (~40ms) and runs on the calling thread: the values encrypted
+// by a process share the salt of their secret so a single key is derived for them, and
+// the derived keys are kept by secret and salt, the least recently used being evicted,
+// so loading the values of the previous processes again does not derive them again
+const KEY_CACHE_SIZE = 1000;
+const keyCache = new Map();
+const saltBySecret = new Map();
+
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('base64');
+}
+
+
+function deriveKey(secret, salt) {
+  const cacheKey = `${hashSecret(secret)}:${salt.toString('base64')}`;
+  if (keyCache.has(cacheKey)) {
+    const cached = keyCache.get(cacheKey);
+    keyCache.delete(cacheKey);
+    keyCache.set(cacheKey, cached);
+    return cached;
+  }
+
+  const key = crypto.scryptSync(secret, salt, KEY_LENGTH, SCRYPT_OPTIONS);
+  if (keyCache.size >= KEY_CACHE_SIZE) {
+    keyCache.delete(keyCache.keys().next().value);
+  }
+  keyCache.set(cacheKey, key);
+  return key;
+}
+
+
+// the salt of the values encrypted with the secret by this process
+function getSalt(secret) {
+  const secretHash = hashSecret(secret);
+  if (!saltBySecret.has(secretHash)) {
+    saltBySecret.set(secretHash, crypto.randomBytes(SALT_LENGTH));
+  }
+  return saltBySecret.get(secretHash);
+}
+
+
+function legacyKey(secret) {
+  let key = Buffer.alloc(32);
+  key = Buffer.concat([Buffer.from(secret)], key.length);
+  return key;
+}
+
 
 export function encrypt(plainText, secret) {
   if (!plainText) {
@@ -9,26 +71,70 @@ export function encrypt(plainText, secret) {
   } else if (!secret) {
     throw new Error('Missing encrypt secret');
   }
-  let key = Buffer.alloc(32);
-  key = Buffer.concat([Buffer.from(secret)], key.length);
-  const ivBytes = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv(algorithm, key, ivBytes);
+
+  const salt = getSalt(secret);
+  const ivBytes = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(algorithm, deriveKey(secret, salt), ivBytes);
+  const encryptedText = cipher.update(plainText, 'utf8', 'base64') + cipher.final('base64');
+
   return {
+    version: ENVELOPE_VERSION,
+    salt: salt.toString('base64'),
     ivText: ivBytes.toString('base64'),
-    encryptedText: cipher.update(plainText, 'utf8', 'base64') + cipher.final('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    encryptedText,
   };
 }
 
+
+/**
+ * Whether the value was encrypted with an older format and should be encrypted again
+ */
+export function isLegacy(encrypted) {
+  return typeof encrypted === 'string'
+    || (!!encrypted && !!encrypted.ivText && encrypted.version === undefined);
+}
+
+
+/**
+ * Decrypts values in the current format and also in the legacy formats:
+ * {ivText, encryptedText} objects and the hex strings of unsafeDecrypt.
+ */
 export function decrypt(encrypted, secret) {
+  if (typeof encrypted === 'string') {
+    return unsafeDecrypt(encrypted, secret);
+  }
+
   if (!encrypted || !encrypted.ivText || !encrypted.encryptedText) {
     throw new Error('Invalid encrypted valued');
   } else if (!secret) {
     throw new Error('Missing decrypt secret');
   }
 
+  if (encrypted.version === undefined) {
+    return legacyDecrypt(encrypted, secret);
+  }
+
+  if (encrypted.version !== ENVELOPE_VERSION || !encrypted.salt || !encrypted.authTag) {
+    throw new Error('The encrypted value is not a valid format');
+  }
+
   const iv = Buffer.from(encrypted.ivText, 'base64');
-  let key = Buffer.alloc(32);
-  key = Buffer.concat([Buffer.from(secret)], key.length);
+  const key = deriveKey(secret, Buffer.from(encrypted.salt, 'base64'));
+
+  const decipher = crypto.createDecipheriv(algorithm, key, iv);
+  decipher.setAuthTag(Buffer.from(encrypted.authTag, 'base64'));
+  try {
+    return decipher.update(encrypted.encryptedText, 'base64', 'utf8') + decipher.final('utf8');
+  } catch (err) {
+    throw new Error('Unable to decrypt the value, the secret is wrong or the value is corrupted');
+  }
+}
+
+
+function legacyDecrypt(encrypted, secret) {
+  const iv = Buffer.from(encrypted.ivText, 'base64');
+  const key = legacyKey(secret);
 
   if (iv.length !== 16) {
     throw new Error('The encrypted value is not a valid format');
@@ -38,7 +144,7 @@ export function decrypt(encrypted, secret) {
     throw new Error('The secret is not valid format');
   }
 
-  const decipher = crypto.createDecipheriv(algorithm, key, iv);
+  const decipher = crypto.createDecipheriv(legacyAlgorithm, key, iv);
   return decipher.update(encrypted.encryptedText, 'base64', 'utf8') + decipher.final('utf8');
 }
 
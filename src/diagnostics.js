@@ -0,0 +1,480 @@
+import dns from 'dns';
+import net from 'net';
+import tls from 'tls';
+import * as db from 'sqlectron-db-core';
+import * as ssl from './ssl';
+import { SSH_DEFAULT_PORT, createTunnel, getHops } from './tunnel';
+
+export const STEPS = ['dns', 'tcp', 'ssh', 'tls', 'authentication', 'version'];
+
+const DEFAULT_TIMEOUT = 10000;
+
+// https://www.postgresql.org/docs/current/protocol-message-formats.html (SSLRequest)
+const POSTGRESQL_SSL_REQUEST_CODE = 80877103;
+
+// https://dev.mysql.com/doc/dev/mysql-server/latest/group__group__cs__capabilities__flags.html
+const MYSQL_CLIENT_LONG_PASSWORD = 0x1;
+const MYSQL_CLIENT_PROTOCOL_41 = 0x200;
+const MYSQL_CLIENT_SSL = 0x800;
+const MYSQL_CLIENT_SECURE_CONNECTION = 0x8000;
+const MYSQL_UTF8_CHARSET = 33;
+
+const TRIVIAL_QUERIES = {
+  cassandra: 'SELECT release_version FROM system.local',
+};
+
+// human readable causes by error code
+const ERROR_CAUSES = {
+  ENOTFOUND: 'The host name could not be resolved, check the host.',
+  EAI_AGAIN: 'The DNS server could not be reached, check the network connection.',
+  ECONNREFUSED: 'The connection was refused, check the port and that the server is running.',
+  ECONNRESET: 'The connection was closed by the server.',
+  EHOSTUNREACH: 'The host is unreachable, check the network connection.',
+  ENETUNREACH: 'The network is unreachable, check the network connection.',
+  ETIMEDOUT: 'The server did not respond in time, check the host, the port and the firewall rules.',
+  ESSLNOTSUPPORTED: 'The server does not support SSL, disable SSL for this server.',
+  DEPTH_ZERO_SELF_SIGNED_CERT: 'The server certificate is self signed, add it as the CA certificate.',
+  SELF_SIGNED_CERT_IN_CHAIN: 'The server certificate is signed by a self signed CA, add it as the CA certificate.',
+  UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'The server certificate is not signed by a trusted CA.',
+  UNABLE_TO_GET_ISSUER_CERT_LOCALLY: 'The server certificate is not signed by a trusted CA.',
+  CERT_HAS_EXPIRED: 'The server certificate has expired.',
+  ERR_TLS_CERT_ALTNAME_INVALID: 'The server certificate does not match the host name.',
+  EHOSTKEY: 'The SSH server host key is not trusted, check the host fingerprint and the known hosts file.',
+  // postgresql
+  '28P01': 'The user or password is wrong.',
+  28000: 'The user is not allowed to connect, check the pg_hba.conf rules of the server.',
+  '3D000': 'The database does not exist.',
+  // mysql
+  ER_ACCESS_DENIED_ERROR: 'The user or password is wrong.',
+  ER_DBACCESS_DENIED_ERROR: 'The user is not allowed to access the database.',
+  ER_BAD_DB_ERROR: 'The database does not exist.',
+  // sqlserver
+  ELOGIN: 'The user or password is wrong.',
+  // sqlite
+  SQLITE_CANTOPEN: 'The database file can not be opened, check its path and permissions.',
+};
+
+
+export class DiagnosticTimeoutError extends Error {
+  constructor(timeout) {
+    super(`Timed out after ${timeout}ms`);
+    this.name = 'DiagnosticTimeoutError';
+    this.code = 'ETIMEDOUT';
+  }
+}
+
+
+function withTimeout(promise, timeout) {
+  let timer;
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new DiagnosticTimeoutError(timeout)), timeout);
+  });
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+
+function getClientConfig(client) {
+  return db.CLIENTS.find((dbClient) => dbClient.key === client) || {};
+}
+
+
+/**
+ * The address the client connects to over the network, the first SSH server
+ * for the servers connecting through a tunnel. null when connecting
+ * through a socket or to a local file.
+ */
+function getNetworkTarget(server) {
+  if (server.ssh) {
+    const [hop] = getHops(server.ssh);
+    return { host: hop.host, port: hop.port || SSH_DEFAULT_PORT };
+  }
+  if (server.socketPath || !server.host) {
+    return null;
+  }
+  return { host: server.host, port: server.port || getClientConfig(server.client).defaultPort };
+}
+
+
+// the server is resolved, its ssl field holds the TLS options of the clients
+function getTlsOptions(server) {
+  return {
+    servername: server.host && !net.isIP(server.host) ? server.host : undefined,
+    ...server.ssl,
+  };
+}
+
+
+function openSocket({ host, port }, timeout) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    socket.setTimeout(timeout, () => socket.destroy(new DiagnosticTimeoutError(timeout)));
+    socket.once('error', reject);
+    socket.once('connect', () => {
+      socket.removeListener('error', reject);
+      resolve(socket);
+    });
+  });
+}
+
+
+// reads from the socket until the data received is complete
+function readData(socket, isComplete) {
+  return new Promise((resolve, reject) => {
+    let data = Buffer.alloc(0);
+
+    function cleanUp() {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('close', onClose);
+    }
+    function onData(chunk) {
+      data = Buffer.concat([data, chunk]);
+      if (isComplete(data)) {
+        cleanUp();
+        resolve(data);
+      }
+    }
+    function onError(err) {
+      cleanUp();
+      reject(err);
+    }
+    function onClose() {
+      cleanUp();
+      reject(Object.assign(new Error('The connection was closed by the server'), { code: 'ECONNRESET' }));
+    }
+
+    socket.on('data', onData);
+    socket.once('error', onError);
+    socket.once('close', onClose);
+  });
+}
+
+
+function sslNotSupportedError() {
+  return Object.assign(new Error('The server does not support SSL'), { code: 'ESSLNOTSUPPORTED' });
+}
+
+
+async function requestPostgresqlSsl(socket) {
+  const request = Buffer.alloc(8);
+  request.writeInt32BE(8, 0);
+  request.writeInt32BE(POSTGRESQL_SSL_REQUEST_CODE, 4);
+  socket.write(request);
+
+  const response = String.fromCharCode((await readData(socket, (data) => data.length >= 1))[0]);
+  if (response !== 'S') {
+    throw sslNotSupportedError();
+  }
+}
+
+
+async function requestMysqlSsl(socket) {
+  const greeting = await readData(socket, (data) => (
+    data.length >= 4 && data.length >= 4 + data.readUIntLE(0, 3)
+  ));
+
+  // error packet: 0xff, error code, sql state and message
+  if (greeting[4] === 0xff) {
+    throw new Error(greeting.slice(7).toString('utf8').replace(/^#\w{5}/, ''));
+  }
+
+  // protocol version, null terminated server version, connection id, auth data, filler
+  const capabilitiesOffset = greeting.indexOf(0, 5) + 1 + 4 + 8 + 1;
+  const capabilities = greeting.readUInt16LE(capabilitiesOffset);
+  if (Math.floor(capabilities / MYSQL_CLIENT_SSL) % 2 === 0) {
+    throw sslNotSupportedError();
+  }
+
+  const request = Buffer.alloc(4 + 32);
+  request.writeUIntLE(32, 0, 3);
+  request.writeUInt8(1, 3);
+  // the flags are distinct bits
+  request.writeUInt32LE(
+    MYSQL_CLIENT_LONG_PASSWORD + MYSQL_CLIENT_PROTOCOL_41 + MYSQL_CLIENT_SSL
+      + MYSQL_CLIENT_SECURE_CONNECTION,
+    4,
+  );
+  request.writeUInt32LE(0x1000000, 8);
+  request.writeUInt8(MYSQL_UTF8_CHARSET, 12);
+  socket.write(request);
+}
+
+
+// asks the server to switch the connection to TLS, following the protocol of the client
+const SSL_REQUESTS = {
+  postgresql: requestPostgresqlSsl,
+  redshift: requestPostgresqlSsl,
+  mysql: requestMysqlSsl,
+  mariadb: requestMysqlSsl,
+};
+
+
+function handshake(socket, options) {
+  return new Promise((resolve, reject) => {
+    const tlsSocket = tls.connect({ ...options, socket });
+    tlsSocket.once('error', reject);
+    tlsSocket.once('secureConnect', () => {
+      tlsSocket.removeListener('error', reject);
+      resolve(tlsSocket);
+    });
+  });
+}
+
+
+// waits for the tunnel to open its first SSH connection and forward it to the server
+function openTunnelConnection(tunnel, timeout) {
+  return new Promise((resolve, reject) => {
+    const { address, port } = tunnel.address();
+    const socket = net.connect({ host: address, port });
+    socket.setTimeout(timeout);
+
+    function done(err) {
+      tunnel.removeListener('success', done);
+      tunnel.removeListener('error', done);
+      socket.destroy();
+      return err ? reject(err) : resolve();
+    }
+    socket.on('error', () => {});
+    tunnel.once('success', done);
+    tunnel.once('error', done);
+  });
+}
+
+
+/**
+ * Each step runs with the context shared by the steps:
+ * { server, timeout, target, addresses, tunnel, dbServer, connection, version }.
+ * It returns { detail, state } where state is added to the context for the next
+ * steps, or { skipped } with the reason the step does not apply.
+ */
+const STEP_RUNNERS = {
+  async dns(context) {
+    const { server, timeout, target } = context;
+    if (!target) {
+      return { skipped: server.socketPath ? `Connects through the socket ${server.socketPath}` : 'Does not connect over the network' };
+    }
+
+    const addresses = await withTimeout(
+      new Promise((resolve, reject) => dns.lookup(target.host, { all: true }, (err, result) => (
+        err ? reject(err) : resolve(result)
+      ))),
+      timeout,
+    );
+
+    const state = { addresses: addresses.map(({ address }) => address) };
+    return { detail: `${target.host} resolved to ${state.addresses.join(', ')}`, state };
+  },
+
+  async tcp(context) {
+    const { timeout, target, addresses } = context;
+    if (!target) {
+      return { skipped: 'Does not connect over the network' };
+    }
+
+    const socket = await openSocket({ host: addresses[0], port: target.port }, timeout);
+    socket.destroy();
+    return { detail: `Connected to ${target.host}:${target.port}` };
+  },
+
+  async ssh(context) {
+    const { server, timeout } = context;
+    if (!server.ssh) {
+      return { skipped: 'Does not connect through an SSH tunnel' };
+    }
+
+    const port = server.port || getClientConfig(server.client).defaultPort;
+    const opening = createTunnel({ ...server, port });
+    let tunnel;
+    try {
+      tunnel = await withTimeout(opening, timeout);
+    } catch (err) {
+      // the tunnel opened after the timeout is not used
+      opening.then((lateTunnel) => lateTunnel.close(), () => {});
+      throw err;
+    }
+    // the errors of later connections are reported by the steps using the tunnel
+    tunnel.on('error', () => {});
+
+    try {
+      await withTimeout(openTunnelConnection(tunnel, timeout), timeout);
+    } catch (err) {
+      tunnel.close();
+      throw err;
+    }
+    const hosts = getHops(server.ssh).map((hop) => hop.host).join(', ');
+    return { detail: `Forwarding to ${server.host}:${port} through ${hosts}`, state: { tunnel } };
+  },
+
+  async tls(context) {
+    const { server, timeout, addresses, tunnel } = context;
+    if (!server.ssl) {
+      return { skipped: 'SSL is disabled' };
+    }
+    if (!SSL_REQUESTS[server.client]) {
+      return { skipped: `The SSL handshake of ${getClientConfig(server.client).name} is checked with the authentication` };
+    }
+
+    const port = server.port || getClientConfig(server.client).defaultPort;
+    const address = tunnel
+      ? { host: tunnel.address().address, port: tunnel.address().port }
+      : { host: addresses[0], port };
+
+    const socket = await openSocket(address, timeout);
+    try {
+      let tlsSocket;
+      try {
+        tlsSocket = await withTimeout((async () => {
+          await SSL_REQUESTS[server.client](socket);
+          return handshake(socket, getTlsOptions(server));
+        })(), timeout);
+      } catch (err) {
+        // in "prefer" mode the connection is retried without SSL, see ssl.fallBackOnConnect
+        if (server.sslFallback) {
+          return { skipped: `${err.message}, the connection falls back to an unencrypted one` };
+        }
+        throw err;
+      }
+
+      const { name } = tlsSocket.getCipher();
+      const verification = tlsSocket.authorized
+        ? 'the certificate is verified'
+        : `the certificate is not verified (${tlsSocket.authorizationError})`;
+      tlsSocket.destroy();
+      return { detail: `${tlsSocket.getProtocol()} with ${name}, ${verification}` };
+    } finally {
+      socket.destroy();
+    }
+  },
+
+  async authentication(context) {
+    const { server, timeout, tunnel } = context;
+
+    const dbServer = db.createServer({ ...server });
+    if (tunnel) {
+      // reused by the connection instead of opening a new tunnel
+      const { address, port } = tunnel.address();
+      dbServer.sshTunnel = tunnel;
+      dbServer.config.localHost = address;
+      dbServer.config.localPort = port;
+    }
+
+    const connection = ssl.fallBackOnConnect(dbServer.createConnection(server.database), dbServer);
+    const connecting = connection.connect();
+    try {
+      await withTimeout(connecting, timeout);
+    } catch (err) {
+      dbServer.end();
+      // the connection opened after the timeout is not used, dbServer.end()
+      // has already removed it from the databases of the server
+      connecting.then(() => connection.disconnect(), () => {});
+      throw err;
+    }
+
+    return {
+      detail: server.user ? `Connected as ${server.user}` : 'Connected',
+      state: { dbServer, connection },
+    };
+  },
+
+  async version(context) {
+    const { server, timeout, connection } = context;
+
+    await withTimeout(connection.executeQuery(TRIVIAL_QUERIES[server.client] || 'SELECT 1'), timeout);
+    const version = connection.getVersion();
+    return { detail: version.string, state: { version } };
+  },
+};
+
+
+/**
+ * The human readable cause of the failure of a step
+ */
+export function describeError(step, err) {
+  if (ERROR_CAUSES[err.code]) {
+    return ERROR_CAUSES[err.code];
+  }
+
+  if (step === 'ssh') {
+    if (err.level === 'protocol') {
+      return 'The SSH handshake failed, check the SSH port is the port of an SSH server.';
+    }
+    if (err.level === 'client-authentication') {
+      return 'The SSH user, password or private key is wrong.';
+    }
+    if (/passphrase/i.test(err.message)) {
+      return 'The SSH private key is encrypted, check its passphrase.';
+    }
+    if (/Channel open failure/i.test(err.message)) {
+      return 'The SSH server could not connect to the database server, check the host and port from the SSH server.';
+    }
+  }
+
+  return err.message;
+}
+
+
+function closeConnections({ dbServer, tunnel }) {
+  if (dbServer) {
+    // also closes the tunnel used by the connection
+    dbServer.end();
+  } else if (tunnel) {
+    tunnel.close();
+  }
+}
+
+
+/**
+ * Runs the diagnostic steps of a server, each step only running after the previous
+ * steps passed. Never throws, the failures are reported in the steps.
+ *
+ * @param {Object} server the server configuration, with its secrets decrypted
+ * @param {Object} [options] { timeout } the timeout of each step in ms
+ * @returns {Promise<Object>} { ok, duration, version, steps } where each step is
+ * { name, status, duration, detail } and the failed step also has { error, code, cause },
+ * status being "passed", "failed" or "skipped"
+ */
+export async function run(server, { timeout = DEFAULT_TIMEOUT } = {}) {
+  let context = { server, timeout, target: getNetworkTarget(server) };
+  const startTime = Date.now();
+  const steps = [];
+  let failedStep;
+
+  try {
+    await STEPS.reduce((promise, name) => promise.then(async () => {
+      if (failedStep) {
+        steps.push({ name, status: 'skipped', detail: `The ${failedStep} step failed` });
+        return;
+      }
+
+      const stepStartTime = Date.now();
+      try {
+        const { detail, state, skipped } = await STEP_RUNNERS[name](context);
+        context = { ...context, ...state };
+        steps.push(skipped
+          ? { name, status: 'skipped', detail: skipped }
+          : {
+            name, status: 'passed', duration: Date.now() - stepStartTime, detail,
+          });
+      } catch (err) {
+        failedStep = name;
+        steps.push({
+          name,
+          status: 'failed',
+          duration: Date.now() - stepStartTime,
+          error: err.message,
+          code: err.code,
+          cause: describeError(name, err),
+        });
+      }
+    }), Promise.resolve());
+  } finally {
+    closeConnections(context);
+  }
+
+  return {
+    ok: !failedStep,
+    duration: Date.now() - startTime,
+    version: context.version || null,
+    steps,
+  };
+}
@@ -0,0 +1,175 @@
+import { dirname, join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import * as utils from './utils';
+import * as config from './config';
+import * as lock from './lock';
+import { tokenize } from './tokenizer';
+
+const HISTORY_FILE_NAME = 'sqlectron.history.jsonl';
+
+/**
+ * The history is kept as one JSON entry per line in sqlectron.history.jsonl,
+ * next to the configuration file of the active profile.
+ */
+export function getPath() {
+  return join(dirname(utils.getConfigPath()), HISTORY_FILE_NAME);
+}
+
+
+/**
+ * Replaces the strings and numbers of a query by "?", the identifiers and comments
+ * are kept as they are. The client sets the syntax of the strings,
+ * e.g. "name" is a string in MySQL but an identifier in PostgreSQL.
+ */
+export function redactLiterals(sql, client) {
+  return tokenize(sql, client)
+    .map(({ type, text }) => (type === 'string' || type === 'number' ? '?' : text))
+    .join('');
+}
+
+
+function parseEntries(content) {
+  return content.split('\n').reduce((entries, line) => {
+    if (!line.trim()) { return entries; }
+    try {
+      const entry = JSON.parse(line);
+      return entry && typeof entry.sql === 'string' ? [...entries, entry] : entries;
+    } catch (err) {
+      // a line partially written by a crashed process
+      return entries;
+    }
+  }, []);
+}
+
+
+async function readEntries(filename) {
+  if (!(await utils.fileExists(filename))) {
+    return [];
+  }
+  return parseEntries(await utils.readFile(filename));
+}
+
+
+function formatEntries(entries) {
+  return entries.map((entry) => `${JSON.stringify(entry)}\n`).join('');
+}
+
+
+/**
+ * Records an executed query.
+ *
+ * @param {Object} entry { serverId, database, sql, duration, rowCount, error }
+ * where duration is in milliseconds and error is the message or the Error of a failed query
+ * @param {Object} [options] { redact, client } redact replaces the literals of the query
+ * by "?", defaults to the historyRedactLiterals setting, client being the dialect of the query
+ * @returns {Promise<Object>} the entry saved, with its id and timestamp
+ */
+export async function add(entry, { redact, client } = {}) {
+  const redactLiteralsEnabled = redact === undefined
+    ? await config.getSetting('historyRedactLiterals')
+    : redact;
+
+  const error = entry.error instanceof Error ? entry.error.message : entry.error;
+  const saved = {
+    id: uuidv4(),
+    serverId: entry.serverId,
+    database: entry.database,
+    sql: redactLiteralsEnabled ? redactLiterals(entry.sql, client) : entry.sql,
+    timestamp: new Date().toISOString(),
+    duration: entry.duration,
+    rowCount: entry.rowCount,
+    error: error || null,
+  };
+
+  const filename = getPath();
+  await utils.createParentDirectory(filename);
+  await lock.withLock(filename, () => (
+    // only the owner can read the queries
+    utils.appendFile(filename, formatEntries([saved]), { mode: 0o600 })
+  ));
+
+  return saved;
+}
+
+
+/**
+ * Searches the history, the most recent entries first.
+ *
+ * @param {Object} [filters] { text, serverId, database, since, until, failed, limit }
+ * text matches part of the query ignoring the case, since and until are dates
+ * and failed only keeps the entries with (true) or without (false) an error
+ * @returns {Promise<Object[]>}
+ */
+export async function search({
+  text, serverId, database, since, until, failed, limit,
+} = {}) {
+  const lowerText = text && text.toLowerCase();
+  const sinceTime = since && new Date(since).getTime();
+  const untilTime = until && new Date(until).getTime();
+
+  const entries = (await readEntries(getPath()))
+    .filter((entry) => !lowerText || entry.sql.toLowerCase().includes(lowerText))
+    .filter((entry) => !serverId || entry.serverId === serverId)
+    .filter((entry) => !database || entry.database === database)
+    .filter((entry) => !sinceTime || new Date(entry.timestamp).getTime() >= sinceTime)
+    .filter((entry) => !untilTime || new Date(entry.timestamp).getTime() <= untilTime)
+    .filter((entry) => failed === undefined || !!entry.error === failed)
+    .reverse();
+
+  return limit ? entries.slice(0, limit) : entries;
+}
+
+
+/**
+ * Removes the old entries.
+ *
+ * @param {Object} options { maxAge, maxEntries, maxSize } removes the entries older than
+ * maxAge milliseconds and then the oldest ones beyond the maxEntries most recent
+ * or making the file bigger than maxSize bytes
+ * @returns {Promise<number>} the number of entries removed
+ */
+export async function prune({ maxAge, maxEntries, maxSize } = {}) {
+  const filename = getPath();
+  if (!(await utils.fileExists(filename))) {
+    return 0;
+  }
+
+  return lock.withLock(filename, async () => {
+    const entries = await readEntries(filename);
+    const minTime = maxAge ? Date.now() - maxAge : 0;
+
+    let kept = entries.filter((entry) => new Date(entry.timestamp).getTime() >= minTime);
+    if (maxEntries !== undefined && kept.length > maxEntries) {
+      kept = maxEntries > 0 ? kept.slice(-maxEntries) : [];
+    }
+    if (maxSize !== undefined) {
+      kept = keepMostRecent(kept, maxSize);
+    }
+
+    if (kept.length !== entries.length) {
+      await utils.writeFile(filename, formatEntries(kept));
+    }
+    return entries.length - kept.length;
+  });
+}
+
+
+// the most recent entries fitting in maxSize bytes
+function keepMostRecent(entries, maxSize) {
+  let size = 0;
+  let start = entries.length;
+  while (start > 0) {
+    size += Buffer.byteLength(formatEntries([entries[start - 1]]));
+    if (size > maxSize) { break; }
+    start -= 1;
+  }
+  return entries.slice(start);
+}
+
+
+export async function clear() {
+  const filename = getPath();
+  if (!(await utils.fileExists(filename))) { return; }
+
+  await lock.withLock(filename, () => utils.writeFile(filename, ''));
+}
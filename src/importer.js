@@ -0,0 +1,373 @@
+import { homedir } from 'os';
+import { join } from 'path';
+import { CLIENTS } from 'sqlectron-db-core';
+import * as utils from './utils';
+import * as servers from './servers';
+import * as ssl from './ssl';
+import { formatErrors, validateServer } from './validators/config';
+
+const TRUE_VALUES = ['', 'true', '1', 'on', 'yes'];
+
+// DBeaver provider ids, the driver id is checked first for providers shared by several clients
+const DBEAVER_CLIENTS = {
+  postgresql: 'postgresql',
+  redshift: 'redshift',
+  mysql: 'mysql',
+  mariadb: 'mariadb',
+  sqlserver: 'sqlserver',
+  mssql: 'sqlserver',
+  sqlite: 'sqlite',
+  cassandra: 'cassandra',
+};
+
+
+function getDBeaverPath() {
+  const workspace = join('DBeaverData', 'workspace6', 'General', '.dbeaver', 'data-sources.json');
+  if (process.platform === 'win32') {
+    return join(process.env.APPDATA || join(homedir(), 'AppData', 'Roaming'), workspace);
+  }
+  if (process.platform === 'darwin') {
+    return join(homedir(), 'Library', workspace);
+  }
+  return join(homedir(), '.local', 'share', workspace);
+}
+
+
+function unquote(value) {
+  const match = value.match(/^(['"])(.*)\1$/);
+  return match ? match[2] : value;
+}
+
+
+/**
+ * Parses the INI like format of pg_service.conf and my.cnf into a list of
+ * sections. Option names are normalized to use "_" instead of "-".
+ */
+function parseIni(content) {
+  const sections = [];
+  let section = null;
+
+  content.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line || /^[#;!]/.test(line)) { return; }
+
+    const header = line.match(/^\[(.+)\]$/);
+    if (header) {
+      section = { name: header[1].trim(), values: {} };
+      sections.push(section);
+      return;
+    }
+
+    if (!section) { return; }
+
+    const index = line.indexOf('=');
+    const key = (index === -1 ? line : line.slice(0, index)).trim().replace(/-/g, '_');
+    section.values[key] = index === -1 ? '' : unquote(line.slice(index + 1).trim());
+  });
+
+  return sections;
+}
+
+
+// pgpass fields are separated by ":" and may escape ":" and "\" with "\"
+function splitPgPassLine(line) {
+  const fields = [];
+  let current = '';
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '\\' && i + 1 < line.length) {
+      current += line[i + 1];
+      i += 1;
+    } else if (line[i] === ':') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += line[i];
+    }
+  }
+  fields.push(current);
+  return fields;
+}
+
+
+function pgHost(host) {
+  return host && host.startsWith('/') ? { socketPath: host } : { host: host || 'localhost' };
+}
+
+
+function parsePgPass(content) {
+  return content.split(/\r?\n/).reduce((entries, line, index) => {
+    const source = `line ${index + 1}`;
+    if (!line.trim() || line.trim().startsWith('#')) { return entries; }
+
+    const fields = splitPgPassLine(line);
+    if (fields.length !== 5) {
+      return [...entries, { source, reason: 'Invalid pgpass entry.' }];
+    }
+
+    const [host, port, database, user, password] = fields.map((field) => (field === '*' ? undefined : field));
+    if (!host) {
+      return [...entries, { source, reason: 'Entries with a wildcard host can not be imported.' }];
+    }
+
+    return [...entries, {
+      source,
+      server: {
+        name: [host, database].filter(Boolean).join('/'),
+        client: 'postgresql',
+        ...pgHost(host),
+        port,
+        database,
+        user,
+        password,
+      },
+    }];
+  }, []);
+}
+
+
+function parsePgService(content) {
+  return parseIni(content).map(({ name, values }) => ({
+    source: `[${name}]`,
+    server: {
+      name,
+      client: 'postgresql',
+      ssl: ssl.fromLibpq(values),
+      ...pgHost(values.host || values.hostaddr),
+      port: values.port,
+      database: values.dbname,
+      user: values.user,
+      password: values.password,
+    },
+  }));
+}
+
+
+// groups read by the mysql clients, the server groups (mysqld...) have no connection to import
+function isMyCnfClientGroup({ name, values }) {
+  return !name.startsWith('mysqld') && !!(values.host || values.socket || values.user);
+}
+
+
+function parseMyCnfSsl(values) {
+  const sslMode = values.ssl_mode !== undefined ? values.ssl_mode : values.ssl;
+  const mode = (sslMode !== undefined && ssl.fromMysqlSslMode(sslMode))
+    || (sslMode !== undefined && TRUE_VALUES.includes(sslMode.toLowerCase()) ? 'require' : 'disable');
+
+  // the MySQL client only encrypts the connection, see ssl.getUnsupportedSettings:
+  // the certificate files are only kept for the verify modes to report them as unsupported
+  if (!['verify-ca', 'verify-full'].includes(mode)) {
+    return { mode };
+  }
+  return ssl.compact({
+    mode,
+    ca: values.ssl_ca,
+    cert: values.ssl_cert,
+    key: values.ssl_key,
+  });
+}
+
+
+function parseMyCnf(content) {
+  return parseIni(content).filter(isMyCnfClientGroup).map(({ name, values }) => ({
+    source: `[${name}]`,
+    server: {
+      name,
+      client: 'mysql',
+      ssl: parseMyCnfSsl(values),
+      ...(values.socket && !values.host ? { socketPath: values.socket } : { host: values.host || 'localhost' }),
+      port: values.port,
+      database: values.database,
+      user: values.user,
+      password: values.password,
+    },
+  }));
+}
+
+
+function getDBeaverClient(connection) {
+  const driver = (connection.driver || '').toLowerCase();
+  if (driver.includes('mariadb')) { return 'mariadb'; }
+  if (driver.includes('sqlite')) { return 'sqlite'; }
+  return DBEAVER_CLIENTS[(connection.provider || '').toLowerCase()];
+}
+
+
+function getDBeaverSSH(handlers) {
+  const tunnel = handlers.ssh_tunnel;
+  if (!tunnel || !tunnel.enabled) { return undefined; }
+
+  const properties = tunnel.properties || {};
+  return {
+    host: properties.host,
+    port: properties.port,
+    user: tunnel.user || properties.user,
+    password: tunnel.password,
+    privateKey: properties.keyPath,
+  };
+}
+
+
+function parseDBeaver(content) {
+  const connections = JSON.parse(content).connections || {};
+
+  return Object.keys(connections).map((id) => {
+    const source = `connection ${id}`;
+    const connection = connections[id];
+    const client = getDBeaverClient(connection);
+    if (!client) {
+      return { source, reason: `Unsupported DBeaver provider: ${connection.provider}.` };
+    }
+
+    const configuration = connection.configuration || {};
+    const handlers = configuration.handlers || {};
+    const sslEnabled = Object.keys(handlers).some((key) => key.includes('ssl') && handlers[key].enabled);
+
+    return {
+      source,
+      server: {
+        name: connection.name || id,
+        client,
+        ssl: ssl.normalize(sslEnabled),
+        host: configuration.host,
+        port: configuration.port,
+        database: configuration.database,
+        user: configuration.user,
+        password: configuration.password,
+        ssh: getDBeaverSSH(handlers),
+      },
+    };
+  });
+}
+
+
+const FORMATS = {
+  pgpass: {
+    getDefaultPath: () => process.env.PGPASSFILE || '~/.pgpass',
+    parse: parsePgPass,
+  },
+  pg_service: {
+    getDefaultPath: () => process.env.PGSERVICEFILE || '~/.pg_service.conf',
+    parse: parsePgService,
+  },
+  mycnf: {
+    getDefaultPath: () => '~/.my.cnf',
+    parse: parseMyCnf,
+  },
+  dbeaver: {
+    getDefaultPath: getDBeaverPath,
+    parse: parseDBeaver,
+  },
+};
+
+
+export function getFormats() {
+  return Object.keys(FORMATS);
+}
+
+
+/**
+ * Fills the client defaults and drops the fields the client does not support
+ */
+function normalize(server) {
+  const clientConfig = CLIENTS.find((dbClient) => dbClient.key === server.client) || {};
+  const disabledFeatures = clientConfig.disabledFeatures || [];
+
+  const normalized = { ssl: ssl.normalize(false), ...server };
+  if (normalized.host && !normalized.port) {
+    normalized.port = clientConfig.defaultPort;
+  }
+  if (normalized.port !== undefined) {
+    normalized.port = Number(normalized.port);
+  }
+
+  Object.keys(normalized).forEach((field) => {
+    if (normalized[field] === undefined || normalized[field] === ''
+      || disabledFeatures.includes(`server:${field}`)) {
+      delete normalized[field];
+    }
+  });
+
+  return normalized;
+}
+
+
+/**
+ * Reads the connections of a file from other tool.
+ *
+ * @param {string} format one of getFormats()
+ * @param {Object} [options] { path } defaults to the usual location of the file
+ * @returns {Promise<Object>} { servers, skipped } the valid servers found and
+ * the entries skipped with the reason why
+ */
+export async function read(format, { path } = {}) {
+  const reader = FORMATS[format];
+  if (!reader) {
+    throw new Error(`Unknown import format: ${format}`);
+  }
+
+  const filename = utils.resolveHomePathToAbsolute(path || reader.getDefaultPath());
+  const content = await utils.readFile(filename);
+
+  return reader.parse(content).reduce((result, entry) => {
+    if (entry.reason) {
+      return { ...result, skipped: [...result.skipped, entry] };
+    }
+
+    const server = normalize(entry.server);
+    const errors = validateServer(server);
+    if (errors.length) {
+      const skipped = { source: entry.source, reason: `Invalid server. ${formatErrors(errors)}` };
+      return { ...result, skipped: [...result.skipped, skipped] };
+    }
+
+    return { ...result, servers: [...result.servers, server] };
+  }, { servers: [], skipped: [] });
+}
+
+
+// servers pointing to the same database with the same user are the same connection
+function getConnectionKey(server) {
+  return ['client', 'host', 'port', 'socketPath', 'database', 'user']
+    .map((field) => (server[field] === undefined ? '' : String(server[field])))
+    .join('|');
+}
+
+
+/**
+ * Imports the connections of a file from other tool. Each server is added
+ * with servers.add, the connections already in the configuration are skipped.
+ *
+ * @param {string} format one of getFormats()
+ * @param {string} cryptoSecret
+ * @param {Object} [options] { path, dryRun } with dryRun nothing is saved
+ * @returns {Promise<Object>} { added, skipped } the servers added, or that would be
+ * added in a dry run, and the entries skipped with the reason why
+ */
+export async function importFrom(format, cryptoSecret, { path, dryRun = false } = {}) {
+  const result = await read(format, { path });
+
+  const existing = new Set((await servers.getAll()).map(getConnectionKey));
+  const planned = [];
+  const skipped = [...result.skipped];
+
+  result.servers.forEach((server) => {
+    const key = getConnectionKey(server);
+    if (existing.has(key)) {
+      skipped.push({ source: server.name, reason: 'The connection already exists.' });
+      return;
+    }
+    existing.add(key);
+    planned.push(server);
+  });
+
+  if (dryRun) {
+    return { added: planned, skipped };
+  }
+
+  // one at a time, every add modifies the configuration file
+  const added = await planned.reduce((promise, server) => promise.then(async (list) => (
+    [...list, await servers.add(server, cryptoSecret)]
+  )), Promise.resolve([]));
+
+  return { added, skipped };
+}
@@ -1,13 +1,36 @@
-import * as db from 'sqlectron-db-core';
+import * as dbCore from 'sqlectron-db-core';
 import { setLogger } from 'sqlectron-db-core/logger';
 import * as config from './config';
 import * as servers from './servers';
+import * as secrets from './secrets';
+import * as master from './master';
+import * as importer from './importer';
+import * as templates from './templates';
+import * as history from './history';
+import * as snippets from './snippets';
+import * as safety from './safety';
+import * as ssl from './ssl';
+import * as tunnel from './tunnel';
+import { createServer } from './safety';
 import { setSelectLimit } from './limit';
 
+// the servers of db.createServer also connect through the tunnels supporting
+// the jump hosts, the ssh-agent and the host key checks
+const db = { ...dbCore, createServer: tunnel.createServer };
+
 export {
   config,
   servers,
+  secrets,
+  master,
+  importer,
+  templates,
+  history,
+  snippets,
+  safety,
+  ssl,
   db,
+  createServer,
   setLogger,
   setSelectLimit,
 };
@@ -5,10 +5,7 @@ import {
 import * as config from './config';
 
 export async function setSelectLimit() {
-  const { limitQueryDefaultSelectTop } = await config.get();
-  if (limitQueryDefaultSelectTop !== null && limitQueryDefaultSelectTop !== undefined) {
-    internalSet(limitQueryDefaultSelectTop);
-  }
+  internalSet(await config.getSetting('limitQueryDefaultSelectTop'));
 }
 
 export function clearSelectLimit() {
@@ -0,0 +1,182 @@
+/* global Atomics, SharedArrayBuffer */
+import fs from 'fs';
+import { hostname } from 'os';
+
+const DEFAULT_OPTIONS = {
+  // how long to wait for the lock before giving up
+  timeout: 10000,
+  // locks older than this are considered abandoned by a crashed process,
+  // the locks held by withLock are touched so they never get this old
+  stale: 30000,
+  retryInterval: 50,
+};
+
+
+export class LockTimeoutError extends Error {
+  constructor(lockPath) {
+    super(`Timed out waiting for the lock ${lockPath}`);
+    this.name = 'LockTimeoutError';
+    this.lockPath = lockPath;
+  }
+}
+
+
+export function getLockPath(filename) {
+  return `${filename}.lock`;
+}
+
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+
+function isStale(lockPath, stale) {
+  let stats;
+  try {
+    stats = fs.statSync(lockPath);
+  } catch (err) {
+    return false;
+  }
+
+  if (Date.now() - stats.mtime.getTime() > stale) {
+    return true;
+  }
+
+  try {
+    const owner = JSON.parse(fs.readFileSync(lockPath, { encoding: 'utf-8' }));
+    return owner.hostname === hostname() && !isProcessAlive(owner.pid);
+  } catch (err) {
+    // the owner may still be writing its information
+    return false;
+  }
+}
+
+
+function removeStaleLock(lockPath) {
+  // renaming first ensures only one process removes the same stale lock
+  const stalePath = `${lockPath}.${process.pid}.stale`;
+  try {
+    fs.renameSync(lockPath, stalePath);
+    fs.unlinkSync(stalePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') { throw err; }
+  }
+}
+
+
+function tryAcquire(lockPath, stale) {
+  try {
+    const fd = fs.openSync(lockPath, 'wx');
+    try {
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, hostname: hostname() }));
+    } finally {
+      fs.closeSync(fd);
+    }
+    return true;
+  } catch (err) {
+    if (err.code !== 'EEXIST') { throw err; }
+  }
+
+  if (isStale(lockPath, stale)) {
+    removeStaleLock(lockPath);
+    return tryAcquire(lockPath, stale);
+  }
+
+  return false;
+}
+
+
+function release(lockPath) {
+  try {
+    fs.unlinkSync(lockPath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') { throw err; }
+  }
+}
+
+
+// keeps the lock recent while held, so a long operation does not have its lock
+// taken over as a stale lock
+function keepFresh(lockPath, stale) {
+  const timer = setInterval(() => {
+    const now = new Date();
+    try {
+      fs.utimesSync(lockPath, now, now);
+    } catch (err) {
+      // released meanwhile
+    }
+  }, Math.max(Math.floor(stale / 3), 1));
+  timer.unref();
+  return timer;
+}
+
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+
+function delaySync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+
+async function acquire(lockPath, options, startedAt) {
+  if (tryAcquire(lockPath, options.stale)) { return; }
+  if (Date.now() - startedAt > options.timeout) {
+    throw new LockTimeoutError(lockPath);
+  }
+
+  await delay(options.retryInterval);
+  return acquire(lockPath, options, startedAt);
+}
+
+
+/**
+ * Runs fn holding an exclusive lock file next to the given file.
+ * The lock is shared with other processes, so only one of them
+ * changes the file at a time.
+ */
+export async function withLock(filename, fn, options) {
+  const lockOptions = { ...DEFAULT_OPTIONS, ...options };
+  const lockPath = getLockPath(filename);
+
+  await acquire(lockPath, lockOptions, Date.now());
+  const timer = keepFresh(lockPath, lockOptions.stale);
+  try {
+    return await fn();
+  } finally {
+    clearInterval(timer);
+    release(lockPath);
+  }
+}
+
+
+/**
+ * Same as withLock for a synchronous fn, which must run in less than
+ * the stale delay as the lock can not be touched while it runs.
+ */
+export function withLockSync(filename, fn, options) {
+  const lockOptions = { ...DEFAULT_OPTIONS, ...options };
+  const lockPath = getLockPath(filename);
+  const startedAt = Date.now();
+
+  while (!tryAcquire(lockPath, lockOptions.stale)) {
+    if (Date.now() - startedAt > lockOptions.timeout) {
+      throw new LockTimeoutError(lockPath);
+    }
+    delaySync(lockOptions.retryInterval);
+  }
+
+  try {
+    return fn();
+  } finally {
+    release(lockPath);
+  }
+}
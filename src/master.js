@@ -0,0 +1,162 @@
+import * as config from './config';
+import * as crypto from './crypto';
+import * as secrets from './secrets';
+
+// known text encrypted with the master password to verify it without storing it
+const VERIFIER_TEXT = 'sqlectron';
+
+export { SecretsLockedError } from './secrets';
+
+
+function hasVerifier(data) {
+  return !!(data && data.masterPassword && data.masterPassword.verifier);
+}
+
+
+function verify(data, masterPassword) {
+  try {
+    crypto.decrypt(data.masterPassword.verifier, masterPassword);
+  } catch (err) {
+    throw new Error('Invalid master password');
+  }
+}
+
+
+function rotateServer(server, context) {
+  if (!server.encrypted) { return server; }
+  return secrets.mapSecretValues(server, (value) => secrets.rotateValue(value, context));
+}
+
+
+function rotateServers(data, context) {
+  if (!Array.isArray(data.servers)) { return data; }
+  return { ...data, servers: data.servers.map((server) => rotateServer(server, context)) };
+}
+
+
+// the writable layers with a configuration file, the user one last as it holds the verifier
+function getRotatedLayers() {
+  return config.getLayers()
+    .filter(({ name, path, writable }) => writable && path && name !== 'user')
+    .map(({ name }) => name)
+    .concat('user');
+}
+
+
+/**
+ * Encrypts again all secrets of every writable layer. Everything is decrypted
+ * before writing, so nothing changes when any of them can't be decrypted with oldSecret.
+ * The secret stores are written last, once the configuration files are.
+ *
+ * @param {boolean} [master] true to protect the secrets with newSecret as master
+ * password, false to stop using a master password, undefined to keep the current mode
+ */
+async function rotate(oldSecret, newSecret, master) {
+  if (!oldSecret || !newSecret) {
+    throw new Error('Missing crypto secret');
+  }
+
+  const userData = await config.get();
+  const enabled = hasVerifier(userData);
+  if (enabled) {
+    verify(userData, oldSecret);
+  }
+
+  // without master password the secrets are encrypted with the profile secret
+  const useMaster = master === undefined ? enabled : master;
+  const context = {
+    oldSecret: enabled ? oldSecret : secrets.getProfileSecret(oldSecret),
+    newSecret: useMaster ? newSecret : secrets.getProfileSecret(newSecret),
+    settings: userData.secretStore,
+  };
+
+  // a dry run first, so a secret failing to decrypt stops the rotation before any write
+  const layers = getRotatedLayers();
+  const files = await Promise.all(layers.map((layer) => config.get({ layer })));
+  files.forEach((file) => rotateServers(file, context));
+  const commitStores = secrets.prepareRotation(context);
+
+  let data;
+  await layers.reduce((previous, layer) => previous.then(async () => {
+    data = await config.modify((current) => {
+      const newData = rotateServers(current, context);
+      if (layer !== 'user') { return newData; }
+
+      const { masterPassword, ...userConfig } = newData;
+      if (useMaster) {
+        userConfig.masterPassword = { verifier: crypto.encrypt(VERIFIER_TEXT, newSecret) };
+      }
+      return userConfig;
+    }, { layer });
+  }), Promise.resolve());
+
+  commitStores();
+  return data;
+}
+
+
+/**
+ * Encrypts again every server secret with a new secret.
+ * When using a master password, this is how it is changed.
+ */
+export async function rotateSecret(oldSecret, newSecret) {
+  const data = await rotate(oldSecret, newSecret);
+  if (hasVerifier(data) && secrets.hasMasterSecret()) {
+    secrets.setMasterSecret(newSecret);
+  }
+}
+
+
+/**
+ * Protects the secrets with a master password instead of the application cryptoSecret.
+ * The secrets are unlocked for the current session.
+ */
+export async function enable(cryptoSecret, masterPassword) {
+  const data = await config.get();
+  if (hasVerifier(data)) {
+    throw new Error('Master password is already enabled');
+  }
+
+  await rotate(cryptoSecret, masterPassword, true);
+  secrets.setMasterSecret(masterPassword);
+}
+
+
+export async function disable(masterPassword, cryptoSecret) {
+  const data = await config.get();
+  if (!hasVerifier(data)) {
+    throw new Error('Master password is not enabled');
+  }
+
+  await rotate(masterPassword, cryptoSecret, false);
+  secrets.setMasterSecret(null);
+}
+
+
+/**
+ * Unlocks the secrets for the current session
+ */
+export async function unlock(masterPassword) {
+  const data = await config.get();
+  if (!hasVerifier(data)) {
+    throw new Error('Master password is not enabled');
+  }
+
+  verify(data, masterPassword);
+  secrets.setMasterSecret(masterPassword);
+}
+
+
+export function lock() {
+  secrets.setMasterSecret(null);
+}
+
+
+export async function isEnabled() {
+  return hasVerifier(await config.get());
+}
+
+
+export async function isLocked() {
+  return (await isEnabled()) && !secrets.hasMasterSecret();
+}
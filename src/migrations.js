@@ -0,0 +1,95 @@
+import * as crypto from './crypto';
+import * as secrets from './secrets';
+import * as utils from './utils';
+
+/**
+ * Ordered list of the configuration file format changes.
+ * Each migration upgrades the data from the previous version to its own version.
+ * The context has the cryptoSecret for migrations touching encrypted fields.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'add the ssl field and upgrade legacy encrypted passwords',
+    up(data, { cryptoSecret }) {
+      const upgradePassword = (password) => (
+        password && typeof password === 'string'
+          ? crypto.encrypt(crypto.unsafeDecrypt(password, cryptoSecret), cryptoSecret)
+          : password
+      );
+
+      const servers = mapServers(data, (server) => {
+        const srv = { ...server, ssl: server.ssl || false };
+
+        if (srv.encrypted) {
+          srv.password = upgradePassword(srv.password);
+          if (srv.ssh) {
+            srv.ssh = { ...srv.ssh, password: upgradePassword(srv.ssh.password) };
+          }
+        }
+
+        return srv;
+      });
+
+      return { ...data, servers };
+    },
+  },
+  {
+    version: 2,
+    description: 'encrypt again the secrets with the authenticated encryption format',
+    up(data, { cryptoSecret }) {
+      const servers = mapServers(data, (server) => {
+        if (!server.encrypted) { return server; }
+
+        return secrets.SECRET_FIELDS
+          .reduce((paths, { path }) => paths.concat(utils.expandField(server, path)), [])
+          .filter((path) => crypto.isLegacy(utils.getField(server, path)))
+          .reduce((srv, path) => utils.setField(
+            srv,
+            path,
+            crypto.encrypt(crypto.decrypt(utils.getField(srv, path), cryptoSecret), cryptoSecret),
+          ), server);
+      });
+
+      return { ...data, servers };
+    },
+  },
+];
+
+export const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// migrations only touch well formed servers, the others are left to the validation
+function mapServers(data, fn) {
+  if (!Array.isArray(data.servers)) {
+    return data.servers;
+  }
+
+  return data.servers.map((server) => (
+    server && typeof server === 'object' && !Array.isArray(server) ? fn(server) : server
+  ));
+}
+
+export function getVersion(data) {
+  return data.version || 0;
+}
+
+export function needsMigration(data) {
+  return getVersion(data) < CURRENT_VERSION;
+}
+
+/**
+ * Runs every migration newer than the data version in order
+ */
+export function migrate(data, context) {
+  const version = getVersion(data);
+  if (version > CURRENT_VERSION) {
+    throw new Error(`Configuration file version ${version} is newer than the supported version ${CURRENT_VERSION}`);
+  }
+
+  return MIGRATIONS
+    .filter((migration) => migration.version > version)
+    .reduce((result, migration) => ({
+      ...migration.up(result, context),
+      version: migration.version,
+    }), data);
+}
@@ -0,0 +1,148 @@
+import * as utils from './utils';
+
+/**
+ * Server fields accepting placeholders, resolved when connecting:
+ * ${env:NAME} is replaced by an environment variable and ${file:path}
+ * by the content of a file. "$${" escapes a literal "${".
+ */
+export const PLACEHOLDER_FIELDS = [
+  'host',
+  'socketPath',
+  'user',
+  'database',
+  'password',
+  'ssh.host',
+  'ssh.user',
+  'ssh.privateKey',
+  'ssh.password',
+  'ssh.passphrase',
+  'ssh.knownHostsFile',
+  'ssh.jumpHosts.*.host',
+  'ssh.jumpHosts.*.user',
+  'ssh.jumpHosts.*.privateKey',
+  'ssh.jumpHosts.*.password',
+  'ssh.jumpHosts.*.passphrase',
+  'ssl.ca',
+  'ssl.cert',
+  'ssl.key',
+  'ssl.passphrase',
+];
+
+const PLACEHOLDER_PATTERN = /\$?\$\{([a-zA-Z]+):([^}]*)\}/g;
+
+
+export class PlaceholderError extends Error {
+  constructor(errors) {
+    super(`Unable to resolve the server placeholders: ${errors.map((error) => `${error.path}: ${error.message}`).join(' ')}`);
+    this.name = 'PlaceholderError';
+    this.errors = errors;
+  }
+}
+
+
+const RESOLVERS = {
+  env(name) {
+    if (process.env[name] === undefined) {
+      throw new Error(`The environment variable ${name} is not set.`);
+    }
+    return process.env[name];
+  },
+
+  async file(filename) {
+    try {
+      const content = await utils.readFile(utils.resolveHomePathToAbsolute(filename));
+      return content.replace(/\r?\n$/, '');
+    } catch (err) {
+      throw new Error(`Unable to read the file ${filename}: ${err.message}`);
+    }
+  },
+};
+
+
+function getPlaceholders(value) {
+  if (typeof value !== 'string') { return []; }
+
+  const placeholders = [];
+  value.replace(PLACEHOLDER_PATTERN, (match, type, arg) => {
+    if (!match.startsWith('$$')) {
+      placeholders.push({ match, type, arg });
+    }
+    return match;
+  });
+  return placeholders;
+}
+
+
+export function hasPlaceholders(value) {
+  return getPlaceholders(value).length > 0;
+}
+
+
+/**
+ * Returns the error message for the first malformed placeholder of the value, if any
+ */
+export function findInvalidPlaceholder(value) {
+  const invalid = getPlaceholders(value).find(({ type, arg }) => !RESOLVERS[type] || !arg.trim());
+  if (!invalid) { return undefined; }
+
+  return RESOLVERS[invalid.type]
+    ? `Missing placeholder argument in ${invalid.match}.`
+    : `Unknown placeholder ${invalid.match}, use \${env:NAME} or \${file:path}.`;
+}
+
+
+export async function resolveValue(value) {
+  const placeholders = getPlaceholders(value);
+  const resolved = await Promise.all(
+    placeholders.map(({ type, arg }) => RESOLVERS[type](arg.trim())),
+  );
+
+  let index = 0;
+  return value.replace(PLACEHOLDER_PATTERN, (match) => {
+    if (match.startsWith('$$')) { return match.slice(1); }
+    const result = resolved[index];
+    index += 1;
+    return result;
+  });
+}
+
+
+/**
+ * Returns a copy of the server with the placeholders resolved.
+ * Fails with a PlaceholderError listing every field that could not be resolved.
+ * options.allowFiles false rejects the ${file:path} placeholders, e.g. for the servers
+ * of a shared configuration that must not read the local files, and
+ * options.allowPlaceholders false rejects every placeholder.
+ */
+export async function resolveServer(server, { allowFiles = true, allowPlaceholders = true } = {}) {
+  const fields = PLACEHOLDER_FIELDS
+    .reduce((paths, field) => paths.concat(utils.expandField(server, field)), [])
+    .filter((field) => typeof utils.getField(server, field) === 'string');
+
+  const results = await Promise.all(fields.map(async (field) => {
+    const value = utils.getField(server, field);
+    try {
+      const invalid = findInvalidPlaceholder(value);
+      if (invalid) { throw new Error(invalid); }
+      if (!allowPlaceholders && hasPlaceholders(value)) {
+        throw new Error('The placeholders are not allowed for this server.');
+      }
+      if (!allowFiles && getPlaceholders(value).some(({ type }) => type === 'file')) {
+        throw new Error('The file placeholders are not allowed for this server.');
+      }
+      return { field, value: await resolveValue(value) };
+    } catch (err) {
+      return {
+        field,
+        error: { path: `$.${field}`, segments: field.split('.'), validator: 'placeholder', message: err.message },
+      };
+    }
+  }));
+
+  const errors = results.filter((result) => result.error).map((result) => result.error);
+  if (errors.length) {
+    throw new PlaceholderError(errors);
+  }
+
+  return results.reduce((result, { field, value }) => utils.setField(result, field, value), server);
+}
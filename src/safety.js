@@ -0,0 +1,234 @@
+import * as tunnel from './tunnel';
+import { tokenize } from './tokenizer';
+
+// statements only reading data, unless they hold one of the WRITE_KEYWORDS
+const READ_STATEMENTS = ['SELECT', 'WITH', 'SHOW', 'EXPLAIN', 'DESCRIBE', 'DESC', 'VALUES', 'TABLE', 'USE'];
+
+// e.g. "WITH ... DELETE" or "EXPLAIN ANALYZE UPDATE"
+const WRITE_KEYWORDS = /\b(INSERT|UPDATE|DELETE|MERGE|UPSERT|TRUNCATE|DROP|ALTER|RENAME|GRANT|REVOKE|CALL|EXEC|EXECUTE)\b/i;
+
+// the keywords the reads also use, only writing in these places: REPLACE but not
+// the REPLACE() function, CREATE but not SHOW CREATE, "SELECT ... INTO new_table"
+// but not INTO @variable
+const WRITE_CLAUSES = [
+  /\bREPLACE\b(?!\s*\()/i,
+  /^(?!SHOW\b).*\bCREATE\b/i,
+  /\bINTO\b(?!\s*@)/i,
+];
+
+// SELECT ... FOR UPDATE and FOR NO KEY UPDATE lock the rows without changing them
+const LOCKING_CLAUSE = /\bFOR\s+(?:NO\s+KEY\s+)?UPDATE\b/gi;
+
+
+export class ReadOnlyServerError extends Error {
+  constructor(statement) {
+    super(`The server is read only, ${statement.type} statements are not allowed`);
+    this.name = 'ReadOnlyServerError';
+    this.statement = statement;
+  }
+}
+
+
+export class StatementNotConfirmedError extends Error {
+  constructor(statements) {
+    super(`The destructive statements were not confirmed: ${statements.map((statement) => statement.type).join(', ')}`);
+    this.name = 'StatementNotConfirmedError';
+    this.statements = statements;
+  }
+}
+
+
+export class StatementTimeoutError extends Error {
+  constructor(timeout) {
+    super(`The query did not finish in ${timeout}ms and was canceled`);
+    this.name = 'StatementTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+
+/**
+ * Splits the query in statements without comments, the quoted strings and
+ * identifiers are replaced by "?" so only the keywords are left.
+ */
+function splitStatements(queryText, client) {
+  const statements = [''];
+  tokenize(queryText, client).forEach(({ type, text }) => {
+    const last = statements.length - 1;
+    if (type === 'separator') {
+      statements.push('');
+    } else if (type === 'comment') {
+      statements[last] += ' ';
+    } else if (type === 'string' || type === 'identifier') {
+      statements[last] += ' ? ';
+    } else {
+      statements[last] += text;
+    }
+  });
+
+  return statements.map((statement) => statement.replace(/\s+/g, ' ').trim()).filter(Boolean);
+}
+
+
+function isWriting(text) {
+  const statement = text.replace(LOCKING_CLAUSE, '');
+  return WRITE_KEYWORDS.test(statement) || WRITE_CLAUSES.some((clause) => clause.test(statement));
+}
+
+
+function isDestructive(type, text) {
+  if (type === 'DROP' || type === 'TRUNCATE') { return true; }
+
+  const deleteMatch = text.match(/\bDELETE\b/i);
+  if (!deleteMatch || (type !== 'DELETE' && type !== 'WITH')) { return false; }
+  return !/\bWHERE\b/i.test(text.slice(deleteMatch.index));
+}
+
+
+/**
+ * Identifies the statements of a query, the strings and comments being read
+ * with the syntax of the client, see tokenizer.tokenize.
+ *
+ * @param {string} queryText
+ * @param {string} [client] one of the CLIENTS keys
+ * @returns {Object[]} { type, text, readOnly, destructive } for each statement where type is
+ * the first keyword in upper case. The text is the statement without comments and with
+ * the strings replaced by "?". DROP, TRUNCATE and DELETE without WHERE are destructive.
+ * SELECT ... FOR UPDATE only locks rows, it is read only.
+ */
+export function analyzeQuery(queryText, client) {
+  return splitStatements(queryText, client).map((text) => {
+    const type = (text.match(/^[A-Za-z]+/) || [text])[0].toUpperCase();
+    return {
+      type,
+      text,
+      readOnly: READ_STATEMENTS.includes(type) && !isWriting(text),
+      destructive: isDestructive(type, text),
+    };
+  });
+}
+
+
+/**
+ * The safety settings of a server, production servers confirm
+ * the destructive statements unless configured otherwise.
+ */
+export function getSafety(server) {
+  const safety = (server && server.safety) || {};
+  return {
+    ...safety,
+    confirmDestructive: safety.confirmDestructive === undefined
+      ? !!safety.production
+      : safety.confirmDestructive,
+  };
+}
+
+
+async function checkStatements(statements, safety, { server, confirm }) {
+  if (safety.readOnly) {
+    const writing = statements.find((statement) => !statement.readOnly);
+    if (writing) {
+      throw new ReadOnlyServerError(writing);
+    }
+  }
+
+  const destructive = statements.filter((statement) => statement.destructive);
+  if (safety.confirmDestructive && destructive.length) {
+    const confirmed = confirm && await confirm({ server, statements: destructive });
+    if (!confirmed) {
+      throw new StatementNotConfirmedError(destructive);
+    }
+  }
+}
+
+
+async function executeWithTimeout(handle, timeout) {
+  if (!timeout) { return handle.execute(); }
+
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      try {
+        handle.cancel();
+      } catch (err) {
+        // the query may not have started yet, it is rejected anyway
+      }
+      reject(new StatementTimeoutError(timeout));
+    }, timeout);
+  });
+
+  try {
+    return await Promise.race([handle.execute(), timedOut]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+
+function protect(database, safety, context) {
+  const query = database.query.bind(database);
+  const getQuerySelectTop = database.getQuerySelectTop.bind(database);
+  const truncateAllTables = database.truncateAllTables.bind(database);
+
+  Object.assign(database, {
+    query(queryText) {
+      const handle = query(queryText);
+      return {
+        async execute() {
+          await checkStatements(analyzeQuery(queryText, context.server.client), safety, context);
+          return executeWithTimeout(handle, safety.statementTimeout);
+        },
+        cancel: handle.cancel,
+      };
+    },
+
+    executeQuery(queryText) {
+      return database.query(queryText).execute();
+    },
+
+    getQuerySelectTop(table, schema, limit) {
+      return getQuerySelectTop(table, schema, limit === undefined ? safety.selectLimit : limit);
+    },
+
+    async truncateAllTables(schema) {
+      const statement = { type: 'TRUNCATE', text: 'TRUNCATE all tables', readOnly: false, destructive: true };
+      await checkStatements([statement], safety, context);
+      return truncateAllTables(schema);
+    },
+  });
+
+  return database;
+}
+
+
+/**
+ * Creates a sqlectron-db-core server enforcing the server safety settings on every connection:
+ * - readOnly: only statements reading data are executed, others fail with a ReadOnlyServerError
+ * - confirmDestructive: DROP, TRUNCATE and DELETE without WHERE statements only run
+ *   after options.confirm({ server, statements }) resolves true, otherwise they fail
+ *   with a StatementNotConfirmedError. Enabled by default on production servers.
+ * - statementTimeout: queries running longer (ms) are canceled with a StatementTimeoutError
+ * - selectLimit: limit of the default select query instead of limitQueryDefaultSelectTop
+ * The servers connecting through SSH use the tunnels of tunnel.createServer.
+ *
+ * @param {Object} server the server configuration, with its secrets decrypted
+ * @param {Object} [options] { confirm }
+ */
+export function createServer(server, { confirm } = {}) {
+  const dbServer = tunnel.createServer(server);
+  const safety = getSafety(server);
+  const context = { server, confirm };
+  const protectedDatabases = new WeakSet();
+
+  const createConnection = dbServer.createConnection.bind(dbServer);
+  dbServer.createConnection = (dbName) => {
+    const database = createConnection(dbName);
+    if (!protectedDatabases.has(database)) {
+      protect(database, safety, context);
+      protectedDatabases.add(database);
+    }
+    return database;
+  };
+
+  return dbServer;
+}
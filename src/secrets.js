@@ -0,0 +1,340 @@
+import { execFileSync } from 'child_process';
+import { createHmac } from 'crypto';
+import { dirname, join } from 'path';
+import { CLIENTS } from 'sqlectron-db-core';
+import * as utils from './utils';
+import * as crypto from './crypto';
+import * as lock from './lock';
+
+const DEFAULT_STORE = 'inline';
+const SECRETS_FILE_NAME = 'sqlectron.secrets.json';
+const DEFAULT_COMMAND_TIMEOUT = 10000;
+
+/**
+ * Server fields holding secrets. Every field listed here is encrypted,
+ * decrypted, sanitized and validated as a secret.
+ * "*" stands for each item of an array, see utils.expandField.
+ * "clients" restricts the field to some clients, otherwise it applies to every client
+ * supporting the field (see the disabledFeatures of each client).
+ */
+export const SECRET_FIELDS = [
+  { path: 'password' },
+  { path: 'ssh.password' },
+  { path: 'ssh.passphrase' },
+  { path: 'ssl.passphrase' },
+  { path: 'ssh.jumpHosts.*.password' },
+  { path: 'ssh.jumpHosts.*.passphrase' },
+];
+
+// master password unlocked for this session
+let masterSecret = null;
+
+
+export class SecretsLockedError extends Error {
+  constructor() {
+    super('The secrets are protected by a master password, unlock them first');
+    this.name = 'SecretsLockedError';
+  }
+}
+
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+
+/**
+ * The secret field paths applying to the client
+ */
+export function getSecretFields(client) {
+  const clientConfig = CLIENTS.find((dbClient) => dbClient.key === client);
+  const disabledFeatures = (clientConfig && clientConfig.disabledFeatures) || [];
+
+  return SECRET_FIELDS
+    .filter((field) => !field.clients || field.clients.includes(client))
+    .filter((field) => !disabledFeatures.includes(`server:${field.path.split('.')[0]}`))
+    .map((field) => field.path);
+}
+
+
+/**
+ * The secret fields set in the server as [path, value] pairs
+ */
+export function getSecretValues(server) {
+  return getSecretFields(server.client)
+    .reduce((paths, field) => paths.concat(utils.expandField(server, field)), [])
+    .map((path) => [path, utils.getField(server, path)])
+    .filter(([, value]) => value);
+}
+
+
+/**
+ * Returns a copy of the server with each secret field set replaced by fn(value, path)
+ */
+export function mapSecretValues(server, fn) {
+  return getSecretValues(server)
+    .reduce((result, [path, value]) => utils.setField(result, path, fn(value, path)), server);
+}
+
+
+/**
+ * Secrets are stored encrypted inside the server in the configuration file.
+ */
+const inlineStore = {
+  save(key, plainText, { cryptoSecret }) {
+    return crypto.encrypt(plainText, cryptoSecret);
+  },
+
+  load(value, { cryptoSecret }) {
+    return crypto.decrypt(value, cryptoSecret);
+  },
+
+  remove() {},
+};
+
+
+function getSecretsFilePath(options) {
+  if (options.path) {
+    return utils.resolveHomePathToAbsolute(options.path);
+  }
+  return join(dirname(utils.getConfigPath()), SECRETS_FILE_NAME);
+}
+
+function readSecretsFile(filename) {
+  if (!utils.fileExistsSync(filename)) {
+    return {};
+  }
+  return utils.readJSONFileSync(filename);
+}
+
+function updateSecretsFile(filename, updater) {
+  utils.createParentDirectorySync(filename);
+  lock.withLockSync(filename, () => {
+    const secrets = updater(readSecretsFile(filename));
+    // only the owner can read the file
+    utils.writeFileSync(filename, JSON.stringify(secrets, null, 2), { mode: 0o600 });
+  });
+}
+
+/**
+ * Secrets are stored encrypted in a separate file only readable by its owner.
+ * Options: { path } defaults to sqlectron.secrets.json next to the configuration file.
+ */
+const fileStore = {
+  save(key, plainText, { cryptoSecret, options }) {
+    const filename = getSecretsFilePath(options);
+    updateSecretsFile(filename, (secrets) => ({
+      ...secrets,
+      [key]: crypto.encrypt(plainText, cryptoSecret),
+    }));
+    return { store: 'file', key };
+  },
+
+  load({ key }, { cryptoSecret, options }) {
+    const secrets = readSecretsFile(getSecretsFilePath(options));
+    if (!secrets[key]) {
+      throw new Error(`Secret ${key} not found in the secrets file`);
+    }
+    return crypto.decrypt(secrets[key], cryptoSecret);
+  },
+
+  remove({ key }, { options }) {
+    const filename = getSecretsFilePath(options);
+    if (!utils.fileExistsSync(filename)) { return; }
+
+    updateSecretsFile(filename, (secrets) => {
+      const { [key]: removed, ...others } = secrets;
+      return others;
+    });
+  },
+
+  rotate({ oldSecret, newSecret, options }) {
+    const filename = getSecretsFilePath(options);
+    const secrets = readSecretsFile(filename);
+    const rotated = Object.keys(secrets).reduce((result, key) => ({
+      ...result,
+      [key]: crypto.encrypt(crypto.decrypt(secrets[key], oldSecret), newSecret),
+    }), {});
+
+    return () => {
+      if (Object.keys(rotated).length) {
+        updateSecretsFile(filename, () => rotated);
+      }
+    };
+  },
+};
+
+
+/**
+ * Secrets are read from the output of an user configured executable,
+ * such as a password manager CLI. The store is read only, the secrets
+ * are managed by the external tool.
+ * Options: { command, args, timeout } where "{key}" in args is replaced by the secret key.
+ */
+const commandStore = {
+  save() {
+    throw new Error('The command secret store is read only. Reference the secret instead: { "store": "command", "key": "..." }');
+  },
+
+  load({ key }, { options }) {
+    if (!options.command) {
+      throw new Error('The command secret store is not configured');
+    }
+
+    const args = (options.args || ['{key}']).map((arg) => arg.split('{key}').join(key));
+    try {
+      const output = execFileSync(options.command, args, {
+        encoding: 'utf8',
+        timeout: options.timeout || DEFAULT_COMMAND_TIMEOUT,
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+      return output.replace(/\r?\n$/, '');
+    } catch (err) {
+      throw new Error(`Unable to load secret ${key} from command ${options.command}: ${err.message}`);
+    }
+  },
+
+  remove() {},
+};
+
+
+const STORES = {
+  inline: inlineStore,
+  file: fileStore,
+  command: commandStore,
+};
+
+
+export function registerStore(type, store) {
+  if (STORES[type]) {
+    throw new Error(`Secret store already registered with type ${type}`);
+  }
+  STORES[type] = store;
+}
+
+
+export function getStoreTypes() {
+  return Object.keys(STORES);
+}
+
+
+/**
+ * Whether the value is a reference to a secret kept outside of the configuration file
+ */
+export function isReference(value) {
+  return isPlainObject(value) && typeof value.store === 'string' && typeof value.key === 'string';
+}
+
+
+function getStore(type) {
+  const store = STORES[type];
+  if (!store) {
+    throw new Error(`Unknown secret store: ${type}`);
+  }
+  return store;
+}
+
+// the settings only apply to the store type they configure
+function getContext(type, { cryptoSecret, settings }) {
+  const options = settings && settings.type === type ? settings : {};
+  return { cryptoSecret, options };
+}
+
+
+/**
+ * Stores a secret in the store configured by the secretStore setting.
+ *
+ * @param {string} key unique key for the secret
+ * @param {string} plainText
+ * @param {Object} context { cryptoSecret, settings }
+ * @returns the value to keep in the server field
+ */
+export function save(key, plainText, context) {
+  const type = (context.settings && context.settings.type) || DEFAULT_STORE;
+  return getStore(type).save(key, plainText, getContext(type, context));
+}
+
+
+/**
+ * Loads the plain text of a server field value
+ */
+export function load(value, context) {
+  const type = isReference(value) ? value.store : DEFAULT_STORE;
+  return getStore(type).load(value, getContext(type, context));
+}
+
+
+/**
+ * Removes the secret when it is kept outside of the configuration file
+ */
+export function remove(value, context) {
+  if (!isReference(value)) { return; }
+  getStore(value.store).remove(value, getContext(value.store, context));
+}
+
+
+/**
+ * Every profile encrypts its secrets with its own secret derived from the cryptoSecret,
+ * so a profile can't decrypt the secrets of another one.
+ * The default profile uses the cryptoSecret as it is.
+ */
+export function getProfileSecret(cryptoSecret, profile = utils.getProfile()) {
+  if (!cryptoSecret || profile === utils.DEFAULT_PROFILE) {
+    return cryptoSecret;
+  }
+  return createHmac('sha256', cryptoSecret).update(`profile:${profile}`).digest('hex');
+}
+
+
+/**
+ * The secret used to encrypt the secrets: the master password when the
+ * configuration is protected by one, otherwise the profile secret.
+ */
+export function resolveCryptoSecret(cryptoSecret, data) {
+  if (!data || !data.masterPassword) {
+    return getProfileSecret(cryptoSecret);
+  }
+
+  if (!masterSecret) {
+    throw new SecretsLockedError();
+  }
+  return masterSecret;
+}
+
+
+export function setMasterSecret(secret) {
+  masterSecret = secret || null;
+}
+
+
+export function hasMasterSecret() {
+  return !!masterSecret;
+}
+
+
+/**
+ * Encrypts again a server field value with newSecret.
+ * References are kept as they are, the stores rotate their own secrets.
+ */
+export function rotateValue(value, { oldSecret, newSecret }) {
+  if (!value || isReference(value)) { return value; }
+  return crypto.encrypt(crypto.decrypt(value, oldSecret), newSecret);
+}
+
+
+/**
+ * Encrypts again with newSecret the secrets kept by the stores.
+ * Every secret is decrypted before anything is written, so a secret failing
+ * to decrypt aborts the rotation. The returned function writes the changes.
+ */
+export function prepareRotation({ oldSecret, newSecret, settings }) {
+  const commits = Object.keys(STORES)
+    .filter((type) => STORES[type].rotate)
+    .map((type) => STORES[type].rotate({
+      oldSecret,
+      newSecret,
+      ...getContext(type, { settings }),
+    }));
+
+  return () => commits.forEach((commit) => commit());
+}
@@ -1,12 +1,157 @@
 import { v4 as uuidv4 } from 'uuid';
-import { validate, validateUniqueId } from './validators/server';
+import { normalizeGroup, validate, validateUniqueId } from './validators/server';
+import { formatErrors, validateServer } from './validators/config';
 import * as config from './config';
 import * as crypto from './crypto';
+import * as secrets from './secrets';
+import * as templates from './templates';
+import * as snippets from './snippets';
+import * as connectionString from './connection-string';
+import * as diagnostics from './diagnostics';
+import * as ssl from './ssl';
+import { resolveServer } from './placeholders';
 
+export { PlaceholderError } from './placeholders';
 
+
+/**
+ * The servers of every configuration layer, see config.getLayered
+ */
 export async function getAll() {
-  const { servers } = await config.get();
-  return servers;
+  const { data } = await config.getLayered();
+  return data.servers;
+}
+
+
+/**
+ * The configuration layer the server comes from: "system", "user" or "project"
+ */
+export async function getOrigin(id) {
+  const { origins } = await config.getLayered();
+  return origins.servers[id];
+}
+
+
+// the layer holding the server, the servers of the read only layers can not be changed
+async function getWritableLayer(id) {
+  const layer = (await getOrigin(id)) || 'user';
+  const { writable } = config.getLayers().find((item) => item.name === layer);
+  if (!writable) {
+    throw new config.ReadOnlyLayerError(layer);
+  }
+  return layer;
+}
+
+
+// the master password and the secret store are only set in the user configuration
+async function getUserData(layer) {
+  return layer === 'user' ? null : config.get();
+}
+
+
+// the servers without id of the other layers than the user one are listed
+// with an id such as "project:0", see config.getLayered
+function findServerIndex(servers, id, layer) {
+  const index = (servers || []).findIndex((srv, position) => (
+    srv && srv.id ? srv.id === id : id === `${layer}:${position}`
+  ));
+  if (index === -1) {
+    throw new Error(`Server not found: ${id}`);
+  }
+  return index;
+}
+
+
+export async function getById(id) {
+  return (await getAll()).find((server) => server.id === id);
+}
+
+
+// scores of a text search match, the best match wins
+const SCORE_EXACT = 100;
+const SCORE_PREFIX = 80;
+const SCORE_WORD_PREFIX = 60;
+const SCORE_SUBSTRING = 40;
+const SCORE_FUZZY = 20;
+const SCORE_OTHER_FIELD = 10;
+
+
+/**
+ * How well the value matches the lower case text: exact, prefix, prefix of a word,
+ * substring or with the characters in order (less points for the gaps between them).
+ * 0 means no match.
+ */
+function getMatchScore(value, text) {
+  const lowerValue = String(value).toLowerCase();
+  if (lowerValue === text) { return SCORE_EXACT; }
+  if (lowerValue.startsWith(text)) { return SCORE_PREFIX; }
+
+  const index = lowerValue.indexOf(text);
+  if (index !== -1) {
+    return /[\s\-_./]/.test(lowerValue[index - 1]) ? SCORE_WORD_PREFIX : SCORE_SUBSTRING;
+  }
+
+  let position = -1;
+  let gaps = 0;
+  const found = [...text].every((char) => {
+    const next = lowerValue.indexOf(char, position + 1);
+    if (next === -1) { return false; }
+    if (position !== -1) { gaps += next - position - 1; }
+    position = next;
+    return true;
+  });
+
+  return found ? Math.max(1, SCORE_FUZZY - gaps) : 0;
+}
+
+
+// fuzzy match on the name, the other fields only match when they contain the text
+function getTextScore(server, text) {
+  const others = [server.host, server.database, server.group, ...(server.tags || [])]
+    .filter(Boolean)
+    .some((value) => String(value).toLowerCase().includes(text));
+
+  return Math.max(getMatchScore(server.name || '', text), others ? SCORE_OTHER_FIELD : 0);
+}
+
+
+function matchesFilters(server, { client, tag, group, host, hasSsh }) {
+  const tags = [].concat(tag || []);
+
+  return (!client || server.client === client)
+    && tags.every((item) => (server.tags || []).includes(item))
+    && (!group || isInGroup(server, normalizeGroup(group), true))
+    && (!host || String(server.host || '').toLowerCase().includes(host.toLowerCase()))
+    && (hasSsh === undefined || !!server.ssh === hasSsh);
+}
+
+
+/**
+ * Searches the servers.
+ *
+ * @param {Object} query every field set must match:
+ * - text: fuzzy match on the name, also matched in the host, database, group and tags
+ * - client: client key
+ * - tag: tag or list of tags the server must have
+ * - group: group path, including the nested groups
+ * - host: part of the host
+ * - hasSsh: whether the server connects through ssh
+ * @returns {Promise<Array>} the matching servers, the best text matches first,
+ * otherwise in the user defined order
+ */
+export async function find(query = {}) {
+  const text = (query.text || '').trim().toLowerCase();
+
+  const results = (await getAll())
+    .filter((server) => matchesFilters(server, query))
+    .map((server) => ({ server, score: text ? getTextScore(server, text) : 0 }))
+    .filter(({ score }) => !text || score > 0);
+
+  // Array.prototype.sort is not stable in older node versions
+  return results
+    .map((result, index) => ({ ...result, index }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ server }) => server);
 }
 
 
@@ -14,17 +159,18 @@ export async function add(server, cryptoSecret) {
   let srv = { ...server };
   await validate(srv);
 
-  const data = await config.get();
-  let newId;
-  do {
-    newId = uuidv4();
-  } while (!validateUniqueId(data.servers, newId));
+  await config.modify((data) => {
+    let newId;
+    do {
+      newId = uuidv4();
+    } while (!validateUniqueId(data.servers, newId));
 
-  srv = encryptSecrects(srv, cryptoSecret);
+    srv.id = newId;
+    const secret = secrets.resolveCryptoSecret(cryptoSecret, data);
+    srv = encryptSecrects(srv, secret, undefined, data.secretStore);
 
-  srv.id = newId;
-  data.servers.push(srv);
-  await config.save(data);
+    return { ...data, servers: [...data.servers, srv] };
+  });
 
   return srv;
 }
@@ -34,23 +180,59 @@ export async function update(server, cryptoSecret) {
   let srv = { ...server };
   await validate(srv);
 
-  const data = await config.get();
-
-  const index = data.servers.findIndex((item) => item.id === srv.id);
-  srv = encryptSecrects(srv, cryptoSecret, data.servers[index]);
+  const layer = await getWritableLayer(srv.id);
+  const userData = await getUserData(layer);
 
-  data.servers = [
-    ...data.servers.slice(0, index),
-    srv,
-    ...data.servers.slice(index + 1),
-  ];
+  await config.modify((data) => {
+    const index = findServerIndex(data.servers, srv.id, layer);
+    const { secretStore } = userData || data;
+    const secret = secrets.resolveCryptoSecret(cryptoSecret, userData || data);
+    srv = encryptSecrects(srv, secret, data.servers[index], secretStore);
 
-  await config.save(data);
+    return {
+      ...data,
+      servers: [
+        ...data.servers.slice(0, index),
+        srv,
+        ...data.servers.slice(index + 1),
+      ],
+    };
+  }, { layer });
 
   return server;
 }
 
 
+/**
+ * Adds a copy of a server with a new id. The secrets are copied too,
+ * encrypted again with the current cryptoSecret.
+ *
+ * @param {Object} [overrides] fields to change in the copy, by default
+ * only the name changes to "<name> (copy)"
+ */
+export async function duplicate(id, overrides = {}, cryptoSecret) {
+  const server = findServer(await getAll(), id);
+  const { id: previousId, encrypted, ...copy } = decryptSecrects(
+    server, cryptoSecret, await config.get(),
+  );
+
+  return add({ ...copy, name: `${copy.name} (copy)`, ...overrides }, cryptoSecret);
+}
+
+
+/**
+ * Adds a server pre-filled with the fields of a template
+ */
+export async function addFromTemplate(templateId, server, cryptoSecret) {
+  const template = await templates.getById(templateId);
+  if (!template) {
+    throw new Error(`Template not found: ${templateId}`);
+  }
+
+  return add(templates.apply(template, server), cryptoSecret);
+}
+
+
 export function addOrUpdate(server, cryptoSecret) {
   const hasId = !!(server.id && String(server.id).length);
   // TODO: Add validation to check if the current id is a valid uuid
@@ -58,69 +240,459 @@ export function addOrUpdate(server, cryptoSecret) {
 }
 
 
+/**
+ * Creates a server object from a connection URI such as
+ * postgres://user:pw@host:5432/db?sslmode=require. The server is not saved.
+ */
+export async function fromConnectionString(uri) {
+  const server = connectionString.parse(uri);
+  await validate(server);
+  return server;
+}
+
+
+/**
+ * Formats the server as a connection URI. Encrypted servers must be decrypted
+ * with decryptSecrects to include the password.
+ */
+export function toConnectionString(server, options) {
+  return connectionString.format(server, options);
+}
+
+
 export async function removeById(id) {
-  const data = await config.get();
+  const layer = await getWritableLayer(id);
+  const userData = await getUserData(layer);
 
-  const index = data.servers.findIndex((srv) => srv.id === id);
-  data.servers = [
-    ...data.servers.slice(0, index),
-    ...data.servers.slice(index + 1),
-  ];
+  let removed;
+  let settings;
+  await config.modify((data) => {
+    const index = findServerIndex(data.servers, id, layer);
+    removed = data.servers[index];
+    settings = (userData || data).secretStore;
+    return {
+      ...data,
+      servers: [
+        ...data.servers.slice(0, index),
+        ...data.servers.slice(index + 1),
+      ],
+    };
+  }, { layer });
 
-  await config.save(data);
+  if (removed) {
+    removeSecrets([removed], settings);
+  }
 }
 
-// ensure all secret fields are encrypted
-function encryptSecrects(server, cryptoSecret, oldServer) {
-  const updatedServer = { ...server };
 
-  if (server.password) {
-    if (oldServer && oldServer.password && typeof oldServer.password === 'string' && oldServer.encrypted) {
-      if (server.password === oldServer.password) {
-        updatedServer.password = crypto.unsafeDecrypt(oldServer.password, cryptoSecret);
-      }
+// removes the secrets kept outside of the configuration file
+function removeSecrets(removedServers, settings) {
+  removedServers.forEach((server) => {
+    secrets.getSecretValues(server).forEach(([, value]) => secrets.remove(value, { settings }));
+  });
+}
+
+
+function getGroup(server) {
+  return server.group || '';
+}
+
+
+function isInGroup(server, group, recursive) {
+  const serverGroup = getGroup(server);
+  return serverGroup === group
+    || (recursive && (!group || serverGroup.startsWith(`${group}/`)));
+}
+
+
+function findServer(servers, id) {
+  const server = servers.find((srv) => srv.id === id);
+  if (!server) {
+    throw new Error(`Server not found: ${id}`);
+  }
+  return server;
+}
+
+
+function modifyServers(modifier) {
+  return config.modify((data) => ({ ...data, servers: modifier(data.servers, data) }));
+}
+
+
+/**
+ * Places the server at the index among the other servers of its group.
+ * The servers are kept in the configuration file in the order set by the user.
+ */
+function placeServer(servers, server, index) {
+  const others = servers.filter((srv) => srv.id !== server.id);
+  const siblings = others.filter((srv) => isInGroup(srv, getGroup(server), false));
+
+  let position = others.length;
+  if (index < siblings.length) {
+    position = others.indexOf(siblings[Math.max(index, 0)]);
+  } else if (siblings.length) {
+    position = others.indexOf(siblings[siblings.length - 1]) + 1;
+  }
+
+  return [...others.slice(0, position), server, ...others.slice(position)];
+}
+
+
+/**
+ * Every group in use, including the parents of the nested groups, sorted by path
+ */
+export async function getGroups() {
+  const groups = new Set();
+  (await getAll()).forEach((server) => {
+    const names = getGroup(server).split('/');
+    names.forEach((name, index) => {
+      if (name) { groups.add(names.slice(0, index + 1).join('/')); }
+    });
+  });
+  return [...groups].sort();
+}
+
+
+/**
+ * The servers of a group in the user defined order
+ *
+ * @param {string} [group] the group path, the top level by default
+ * @param {Object} [options] { recursive } to include the servers of the nested groups
+ */
+export async function getByGroup(group, { recursive = false } = {}) {
+  const path = normalizeGroup(group || '');
+  return (await getAll()).filter((server) => isInGroup(server, path, recursive));
+}
+
+
+/**
+ * Moves the server to the end of a group, or to the top level without a group
+ */
+export async function moveToGroup(id, group) {
+  const path = normalizeGroup(group || '');
+  await modifyServers((servers) => {
+    const { group: previous, ...server } = findServer(servers, id);
+    const moved = path ? { ...server, group: path } : server;
+    return placeServer(servers, moved, Infinity);
+  });
+}
+
+
+/**
+ * Moves the server to the index among the servers of its group
+ */
+export async function reorder(id, index) {
+  await modifyServers((servers) => placeServer(servers, findServer(servers, id), index));
+}
+
+
+/**
+ * Renames a group, its nested groups are renamed too
+ */
+export async function renameGroup(group, newGroup) {
+  const path = normalizeGroup(group || '');
+  const newPath = normalizeGroup(newGroup || '');
+  if (!path || !newPath || newPath.split('/').some((name) => !name)) {
+    throw new Error('Invalid group name');
+  }
+
+  await modifyServers((servers) => servers.map((server) => (
+    isInGroup(server, path, true)
+      ? { ...server, group: newPath + getGroup(server).slice(path.length) }
+      : server
+  )));
+}
+
+
+/**
+ * Removes a group. By default its servers and nested groups are moved to the
+ * parent group, with cascade they are removed.
+ */
+export async function removeGroup(group, { cascade = false } = {}) {
+  const path = normalizeGroup(group || '');
+  if (!path) {
+    throw new Error('Invalid group name');
+  }
+
+  const parent = path.split('/').slice(0, -1).join('/');
+  let removed = [];
+  let settings;
+
+  await modifyServers((servers, data) => {
+    settings = data.secretStore;
+    if (cascade) {
+      removed = servers.filter((server) => isInGroup(server, path, true));
+      return servers.filter((server) => !isInGroup(server, path, true));
     }
 
-    if (typeof updatedServer.password === 'string') {
-      updatedServer.password = crypto.encrypt(updatedServer.password, cryptoSecret);
+    return servers.map((server) => {
+      if (!isInGroup(server, path, true)) { return server; }
+
+      const { group: previous, ...srv } = server;
+      const newGroup = parent + getGroup(server).slice(path.length);
+      const reparented = newGroup.replace(/^\//, '');
+      return reparented ? { ...srv, group: reparented } : srv;
+    });
+  });
+
+  removeSecrets(removed, settings);
+}
+
+const BUNDLE_FORMAT = 'sqlectron-servers';
+const BUNDLE_VERSION = 1;
+const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'duplicate'];
+
+
+/**
+ * Exports servers as a bundle to share with other users.
+ * The secrets are only included with includeSecrets, encrypted with the
+ * bundle passphrase instead of the local cryptoSecret.
+ *
+ * @param {Array<string>} [ids] the servers to export, all of them by default
+ * @param {Object} [options] { includeSecrets, passphrase, cryptoSecret, snippetIds }
+ * snippetIds adds the snippets with those ids to the bundle, true adds all of them
+ * @returns {Promise<Object>} the bundle, a JSON serializable object
+ */
+export async function exportBundle(ids, {
+  includeSecrets = false, passphrase, cryptoSecret, snippetIds,
+} = {}) {
+  if (includeSecrets && !passphrase) {
+    throw new Error('A passphrase is required to export the secrets');
+  }
+
+  const all = await getAll();
+  const selected = ids ? all.filter((server) => ids.includes(server.id)) : all;
+  const userData = includeSecrets ? await config.get() : null;
+
+  const bundleServers = selected.map((server) => {
+    if (!includeSecrets) {
+      return { ...secrets.mapSecretValues(server, () => undefined), encrypted: false };
     }
+
+    const decrypted = decryptSecrects(server, cryptoSecret, userData);
+    return {
+      ...secrets.mapSecretValues(decrypted, (value) => crypto.encrypt(value, passphrase)),
+      encrypted: true,
+    };
+  });
+
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    servers: bundleServers,
+  };
+
+  if (snippetIds) {
+    const allSnippets = await snippets.getAll();
+    bundle.snippets = snippetIds === true
+      ? allSnippets
+      : allSnippets.filter((snippet) => snippetIds.includes(snippet.id));
+  }
+
+  // drops the removed secrets
+  return JSON.parse(JSON.stringify(bundle));
+}
+
+
+function readBundleServer(server, passphrase) {
+  if (!server.encrypted) {
+    return { ...server };
+  }
+
+  if (!passphrase) {
+    throw new Error('A passphrase is required to import the secrets');
   }
 
-  if (server.ssh && server.ssh.password) {
-    if (oldServer && oldServer.ssh && oldServer.ssh.password && typeof oldServer.ssh.password === 'string' && oldServer.encrypted) {
-      if (server.password === oldServer.password) {
-        updatedServer.password = crypto.unsafeDecrypt(oldServer.password, cryptoSecret);
+  return {
+    ...secrets.mapSecretValues(server, (value) => crypto.decrypt(value, passphrase)),
+    encrypted: false,
+  };
+}
+
+
+/**
+ * Imports the servers of a bundle created with exportBundle, and its snippets.
+ *
+ * @param {Object} bundle
+ * @param {Object} [options] { onConflict, passphrase, cryptoSecret } onConflict sets what
+ * to do with the servers and snippets already existing with the same id: "skip" (default),
+ * "overwrite" them or add them as a "duplicate" with a new id
+ * @returns {Promise<Object>} the merge report:
+ * { added, overwritten, duplicated, skipped } with the id and name of each server,
+ * plus the same report in "snippets" when the bundle has snippets
+ */
+export async function importBundle(bundle, { onConflict = 'skip', passphrase, cryptoSecret } = {}) {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.servers)) {
+    throw new Error('Invalid servers bundle');
+  } else if (bundle.snippets !== undefined && !Array.isArray(bundle.snippets)) {
+    throw new Error('Invalid servers bundle');
+  } else if (bundle.version > BUNDLE_VERSION) {
+    throw new Error(`Servers bundle version ${bundle.version} is newer than the supported version ${BUNDLE_VERSION}`);
+  } else if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+    throw new Error(`Invalid conflict strategy: ${onConflict}`);
+  }
+
+  const report = { added: [], overwritten: [], duplicated: [], skipped: [] };
+
+  // every secret is decrypted before changing anything, a wrong passphrase aborts the import
+  const candidates = bundle.servers.map((server) => readBundleServer(server, passphrase));
+
+  const valid = candidates.filter((server) => {
+    const errors = validateServer(server);
+    if (errors.length) {
+      report.skipped.push({ id: server.id, name: server.name, reason: `Invalid server. ${formatErrors(errors)}` });
+    }
+    return !errors.length;
+  });
+  await Promise.all(valid.map((server) => validate(server)));
+
+  await config.modify((data) => {
+    const secret = secrets.resolveCryptoSecret(cryptoSecret, data);
+    const result = [...data.servers];
+
+    valid.forEach((server) => {
+      const index = server.id ? result.findIndex((item) => item.id === server.id) : -1;
+      const { encrypted, ...srv } = server;
+
+      if (index !== -1 && onConflict === 'skip') {
+        report.skipped.push({ id: srv.id, name: srv.name, reason: 'A server with the same id already exists.' });
+        return;
+      }
+
+      if (index !== -1 && onConflict === 'overwrite') {
+        result[index] = encryptSecrects(srv, secret, undefined, data.secretStore);
+        report.overwritten.push({ id: srv.id, name: srv.name });
+        return;
+      }
+
+      const originalId = srv.id;
+      if (!srv.id || index !== -1) {
+        do {
+          srv.id = uuidv4();
+        } while (!validateUniqueId(result, srv.id));
       }
+
+      result.push(encryptSecrects(srv, secret, undefined, data.secretStore));
+      if (index !== -1) {
+        report.duplicated.push({ id: srv.id, originalId, name: srv.name });
+      } else {
+        report.added.push({ id: srv.id, name: srv.name });
+      }
+    });
+
+    if (!bundle.snippets) {
+      return { ...data, servers: result };
+    }
+
+    const merged = snippets.merge(data.snippets || [], bundle.snippets, onConflict);
+    report.snippets = merged.report;
+    return { ...data, servers: result, snippets: merged.snippets };
+  });
+
+  return report;
+}
+
+
+// data is the user configuration, holding the master password and secret store settings
+function getSecretsContext(cryptoSecret, data) {
+  return {
+    cryptoSecret: secrets.resolveCryptoSecret(cryptoSecret, data),
+    settings: data.secretStore,
+  };
+}
+
+// ensure all secret fields are encrypted or saved in the secret store
+function encryptSecrects(server, cryptoSecret, oldServer, settings) {
+  const context = { cryptoSecret, settings };
+  const oldValues = oldServer && oldServer.encrypted
+    ? new Map(secrets.getSecretValues(oldServer))
+    : new Map();
+
+  const updatedServer = secrets.mapSecretValues(server, (value, path) => {
+    let plainText = value;
+
+    // the old style encrypted value was sent back unchanged
+    const oldValue = oldValues.get(path);
+    if (typeof oldValue === 'string' && value === oldValue) {
+      plainText = crypto.unsafeDecrypt(oldValue, cryptoSecret);
     }
 
-    if (typeof updatedServer.ssh.password === 'string') {
-      updatedServer.ssh.password = crypto.encrypt(updatedServer.ssh.password, cryptoSecret);
+    if (typeof plainText !== 'string') {
+      return plainText;
     }
-  }
+    return secrets.save(`${server.id}:${path}`, plainText, context);
+  });
 
   updatedServer.encrypted = true;
   return updatedServer;
 }
 
-// decrypt secret fields
-export function decryptSecrects(server, cryptoSecret) {
-  const updatedServer = { ...server };
-  if (!server.encrypted) {
-    return server;
+/**
+ * Prepares a server to connect: decrypts its secrets, resolves the
+ * ${env:NAME} and ${file:path} placeholders of its fields, the servers of the
+ * project layer can not use ${file:path} and only use ${env:NAME} when the
+ * allowProjectPlaceholders setting is enabled, and replaces
+ * the SSL settings by the TLS options of the clients, see ssl.getConnectionOptions.
+ * The servers in SSL "prefer" mode get sslFallback: true, see ssl.fallBackOnConnect.
+ * Fails with a PlaceholderError when a placeholder can not be resolved.
+ */
+export async function resolve(server, cryptoSecret) {
+  const userData = server.encrypted ? await config.get() : null;
+  // a project file, e.g. from a cloned repository, must not read the local files
+  // nor send the environment variables to its hosts unless the user trusts it
+  const origin = server.id ? await getOrigin(server.id) : undefined;
+  const isProject = origin === 'project';
+  const resolved = await resolveServer(
+    decryptSecrects(server, cryptoSecret, userData),
+    {
+      allowFiles: !isProject,
+      allowPlaceholders: !isProject || await config.getSetting('allowProjectPlaceholders'),
+    },
+  );
+  if (resolved.ssl === undefined) {
+    return resolved;
   }
-
-  if (server.password && typeof server.password === 'string') {
-    updatedServer.password = crypto.unsafeDecrypt(server.password, cryptoSecret);
-  } else if (server.password) {
-    updatedServer.password = crypto.decrypt(server.password, cryptoSecret);
+  const options = await ssl.getConnectionOptions(resolved.ssl, resolved.client);
+  if (options && ssl.normalize(resolved.ssl).mode === 'prefer') {
+    return { ...resolved, ssl: options, sslFallback: true };
   }
+  return { ...resolved, ssl: options };
+}
+
+
+/**
+ * Checks a server works before saving it: connects to it and runs a trivial query,
+ * reporting each step (dns, tcp, ssh, tls, authentication and version) with its
+ * timing and the cause of the failure, see diagnostics.run.
+ * Fails when the server is not valid.
+ *
+ * @param {Object} server a server, saved or not
+ * @param {string} [cryptoSecret]
+ * @param {Object} [options] { timeout } the timeout of each step in ms
+ * @returns {Promise<Object>} the report { ok, duration, version, steps }
+ */
+export async function test(server, cryptoSecret, options) {
+  await validate({ ...server });
+  return diagnostics.run(await resolve(server, cryptoSecret), options);
+}
+
 
-  if (server.ssh && server.ssh.password && typeof server.ssh.password === 'string') {
-    updatedServer.ssh.password = crypto.unsafeDecrypt(server.ssh.password, cryptoSecret);
-  } else if (server.ssh && server.ssh.password) {
-    updatedServer.ssh.password = crypto.decrypt(server.ssh.password, cryptoSecret);
+/**
+ * Decrypts the secret fields of a server.
+ * userData is the user configuration, read from the file when not given,
+ * so the callers decrypting many servers load it only once.
+ */
+export function decryptSecrects(server, cryptoSecret, userData) {
+  if (!server.encrypted) {
+    return server;
   }
 
+  const context = getSecretsContext(cryptoSecret, userData || config.getSync());
+  const updatedServer = secrets.mapSecretValues(
+    server,
+    (value) => secrets.load(value, context),
+  );
+
   updatedServer.encrypted = false;
   return updatedServer;
 }
@@ -0,0 +1,32 @@
+/**
+ * The user settings with their type ("integer" or "boolean"), default value,
+ * allowed range and description. Read and change them with config.getSetting,
+ * config.setSetting and config.resetSetting, the configuration file is
+ * validated with them too. The userOnly settings are ignored in the system
+ * and project layers, so a shared configuration can't change them.
+ */
+export const SETTINGS = {
+  resultItemsPerPage: {
+    type: 'integer',
+    default: 100,
+    min: 1,
+    description: 'The limit of items per page, the paging is done rendering the results instead of in the query.',
+  },
+  limitQueryDefaultSelectTop: {
+    type: 'integer',
+    default: 1000,
+    min: 0,
+    description: 'The limit used in the default select query.',
+  },
+  historyRedactLiterals: {
+    type: 'boolean',
+    default: false,
+    description: 'Replace the literals of the queries saved in the history by "?".',
+  },
+  allowProjectPlaceholders: {
+    type: 'boolean',
+    default: false,
+    userOnly: true,
+    description: 'Resolve the environment variable placeholders of the project servers, which could send their values to any host.',
+  },
+};
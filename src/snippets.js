@@ -0,0 +1,276 @@
+import { v4 as uuidv4 } from 'uuid';
+import * as config from './config';
+import { formatErrors, validateSnippet } from './validators/config';
+import { normalizeGroup, validateUniqueId } from './validators/server';
+import { tokenize } from './tokenizer';
+
+export const PARAM_TYPES = ['string', 'integer', 'number', 'boolean', 'date', 'identifier'];
+
+const IDENTIFIER_QUOTES = {
+  mysql: ['`', '`'],
+  mariadb: ['`', '`'],
+  sqlserver: ['[', ']'],
+};
+
+// clients escaping the backslash inside strings
+const BACKSLASH_ESCAPE_CLIENTS = ['mysql', 'mariadb'];
+
+// clients without boolean literals
+const NUMERIC_BOOLEAN_CLIENTS = ['sqlserver', 'sqlite'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+
+export class SnippetParamsError extends Error {
+  constructor(errors) {
+    super(`Invalid snippet parameters: ${errors.map((error) => `:${error.name} ${error.message}`).join(' ')}`);
+    this.name = 'SnippetParamsError';
+    this.errors = errors;
+  }
+}
+
+
+/**
+ * Snippets are saved queries: { id, name, folder, clients, sql, params, description }
+ * - folder: path of nested folders such as "Diagnostics/Locks"
+ * - clients: the clients the query applies to, every client when empty
+ * - params: the :name placeholders of the query, { name, type, default, description }
+ *   where type is one of PARAM_TYPES
+ */
+export async function getAll({ client, folder } = {}) {
+  const { snippets } = await config.get();
+  const normalizedFolder = normalizeGroup(folder);
+
+  return (snippets || [])
+    .filter((snippet) => !client || isApplicable(snippet, client))
+    .filter((snippet) => !normalizedFolder || snippet.folder === normalizedFolder
+      || (snippet.folder || '').startsWith(`${normalizedFolder}/`));
+}
+
+
+export async function getById(id) {
+  return (await getAll()).find((snippet) => snippet.id === id);
+}
+
+
+export function isApplicable(snippet, client) {
+  return !snippet.clients || !snippet.clients.length || snippet.clients.includes(client);
+}
+
+
+function prepare(snippet) {
+  const prepared = JSON.parse(JSON.stringify({
+    ...snippet,
+    folder: normalizeGroup(snippet.folder),
+  }));
+
+  const errors = validateSnippet(prepared);
+  if (errors.length) {
+    throw new Error(`Invalid snippet. ${formatErrors(errors)}`);
+  }
+  return prepared;
+}
+
+
+export async function add(snippet) {
+  const prepared = prepare({ ...snippet, id: snippet.id || uuidv4() });
+
+  await config.modify((data) => {
+    const snippets = data.snippets || [];
+    while (!validateUniqueId(snippets, prepared.id)) {
+      prepared.id = uuidv4();
+    }
+    return { ...data, snippets: [...snippets, prepared] };
+  });
+
+  return prepared;
+}
+
+
+export async function update(snippet) {
+  const prepared = prepare(snippet);
+
+  await config.modify((data) => {
+    const snippets = data.snippets || [];
+    if (validateUniqueId(snippets, prepared.id)) {
+      throw new Error(`Snippet not found: ${prepared.id}`);
+    }
+    return {
+      ...data,
+      snippets: snippets.map((item) => (item.id === prepared.id ? prepared : item)),
+    };
+  });
+
+  return prepared;
+}
+
+
+export async function removeById(id) {
+  await config.modify((data) => ({
+    ...data,
+    snippets: (data.snippets || []).filter((snippet) => snippet.id !== id),
+  }));
+}
+
+
+/**
+ * The names of the :params used by the query, in order of appearance.
+ * The strings, quoted identifiers, comments and "::" casts are skipped
+ * following the syntax of the client, see tokenizer.tokenize.
+ */
+export function getParamNames(sql, client) {
+  return tokenize(sql, client)
+    .filter(({ type }) => type === 'param')
+    .map(({ text }) => text.slice(1))
+    .filter((name, index, names) => names.indexOf(name) === index);
+}
+
+
+function quoteString(value, client) {
+  const escaped = BACKSLASH_ESCAPE_CLIENTS.includes(client)
+    ? value.replace(/\\/g, '\\\\')
+    : value;
+  return `'${escaped.replace(/'/g, "''")}'`;
+}
+
+
+function quoteIdentifier(value, client) {
+  const [open, close] = IDENTIFIER_QUOTES[client] || ['"', '"'];
+  return value.split('.')
+    .map((part) => `${open}${part.split(close).join(`${close}${close}`)}${close}`)
+    .join('.');
+}
+
+
+// the negative numbers are in parentheses, so "10 -:n" does not become the comment "10 --5"
+function formatNumber(number) {
+  return number < 0 ? `(${number})` : String(number);
+}
+
+
+// converts the value to its SQL literal, throws when the value does not match the type
+const FORMATTERS = {
+  string(value, client) {
+    if (typeof value !== 'string') { throw new Error('Invalid string value.'); }
+    return quoteString(value, client);
+  },
+
+  integer(value) {
+    const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    if (!Number.isSafeInteger(number)) { throw new Error('Invalid integer value.'); }
+    return formatNumber(number);
+  },
+
+  number(value) {
+    const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) { throw new Error('Invalid number value.'); }
+    return formatNumber(number);
+  },
+
+  boolean(value, client) {
+    const bool = value === 'true' || value === 'false' ? value === 'true' : value;
+    if (typeof bool !== 'boolean') { throw new Error('Invalid boolean value.'); }
+    if (NUMERIC_BOOLEAN_CLIENTS.includes(client)) { return bool ? '1' : '0'; }
+    return bool ? 'TRUE' : 'FALSE';
+  },
+
+  date(value, client) {
+    if (value instanceof Date && !Number.isNaN(value.getTime())) {
+      return quoteString(value.toISOString(), client);
+    }
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value.trim())) {
+      throw new Error('Invalid date value, use the ISO 8601 format.');
+    }
+    return quoteString(value.trim(), client);
+  },
+
+  identifier(value, client) {
+    if (typeof value !== 'string' || !value || value.split('.').some((part) => !part)) {
+      throw new Error('Invalid identifier.');
+    }
+    return quoteIdentifier(value, client);
+  },
+};
+
+
+/**
+ * Renders the query of a snippet for a client, replacing each :param by its value
+ * as a SQL literal escaped for the client dialect. Parameters without value use
+ * their default. Fails with a SnippetParamsError listing the invalid parameters.
+ *
+ * @param {Object} snippet
+ * @param {Object} values { [param name]: value }
+ * @param {string} client one of the CLIENTS keys
+ * @returns {string} the query
+ */
+export function render(snippet, values = {}, client) {
+  if (!isApplicable(snippet, client)) {
+    throw new Error(`The snippet ${snippet.name} does not apply to ${client}`);
+  }
+
+  const params = snippet.params || [];
+  const errors = [];
+  const literals = getParamNames(snippet.sql, client).reduce((result, name) => {
+    const param = params.find((item) => item.name === name);
+    const value = values[name] === undefined ? param && param.default : values[name];
+
+    try {
+      if (!param) { throw new Error('Undeclared parameter.'); }
+      if (value === undefined || value === null) { throw new Error('Missing value.'); }
+      return { ...result, [name]: FORMATTERS[param.type](value, client) };
+    } catch (err) {
+      errors.push({ name, message: err.message });
+      return result;
+    }
+  }, {});
+
+  if (errors.length) {
+    throw new SnippetParamsError(errors);
+  }
+
+  return tokenize(snippet.sql, client)
+    .map(({ type, text }) => (type === 'param' ? literals[text.slice(1)] : text))
+    .join('');
+}
+
+
+/**
+ * Merges the snippets of a servers bundle into the current snippets,
+ * see servers.importBundle for the conflict strategies.
+ *
+ * @returns {Object} { snippets, report } the merged snippets and the merge report:
+ * { added, overwritten, duplicated, skipped } with the id and name of each snippet
+ */
+export function merge(current, incoming, onConflict) {
+  const report = { added: [], overwritten: [], duplicated: [], skipped: [] };
+  const result = [...current];
+
+  incoming.forEach((item) => {
+    const snippet = { ...item, id: item.id || uuidv4(), folder: normalizeGroup(item.folder) };
+    const errors = validateSnippet(snippet);
+    if (errors.length) {
+      report.skipped.push({ id: item.id, name: item.name, reason: `Invalid snippet. ${formatErrors(errors)}` });
+      return;
+    }
+
+    const index = result.findIndex((existing) => existing.id === snippet.id);
+    if (index !== -1 && onConflict === 'skip') {
+      report.skipped.push({ id: snippet.id, name: snippet.name, reason: 'A snippet with the same id already exists.' });
+    } else if (index !== -1 && onConflict === 'overwrite') {
+      result[index] = snippet;
+      report.overwritten.push({ id: snippet.id, name: snippet.name });
+    } else if (index !== -1) {
+      const originalId = snippet.id;
+      do {
+        snippet.id = uuidv4();
+      } while (!validateUniqueId(result, snippet.id));
+      result.push(snippet);
+      report.duplicated.push({ id: snippet.id, originalId, name: snippet.name });
+    } else {
+      result.push(snippet);
+      report.added.push({ id: snippet.id, name: snippet.name });
+    }
+  });
+
+  return { snippets: result, report };
+}
@@ -0,0 +1,199 @@
+import tls from 'tls';
+import * as utils from './utils';
+
+/**
+ * SSL settings of a server: { mode, ca, cert, key, passphrase, servername, minVersion }
+ * - mode: one of SSL_MODES, following the libpq sslmode values. In "prefer" mode the
+ *   connections failing with SSL are retried without it, see fallBackOnConnect
+ * - ca, cert and key: paths of the CA certificate, client certificate and client key files
+ * - passphrase: of the client key, saved encrypted as the other secrets
+ * - servername: name checked in the server certificate instead of the host
+ * - minVersion: one of TLS_VERSIONS
+ */
+export const SSL_MODES = ['disable', 'prefer', 'require', 'verify-ca', 'verify-full'];
+
+export const TLS_VERSIONS = ['TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'];
+
+const FILE_FIELDS = ['ca', 'cert', 'key'];
+
+// modes checking the server certificate is signed by a trusted CA
+const VERIFY_MODES = ['verify-ca', 'verify-full'];
+
+// clients whose sqlectron-db-core adapter only encrypts the connection: the MySQL one
+// never verifies the certificate and the SQL Server one only sets the encrypt option
+const ENCRYPT_ONLY_CLIENTS = ['mysql', 'mariadb', 'sqlserver'];
+
+const ENCRYPT_ONLY_MODES = ['disable', 'prefer', 'require'];
+
+// https://dev.mysql.com/doc/refman/8.0/en/connection-options.html#option_general_ssl-mode
+const MYSQL_SSL_MODES = {
+  disabled: 'disable',
+  preferred: 'prefer',
+  required: 'require',
+  verify_ca: 'verify-ca',
+  verify_identity: 'verify-full',
+};
+
+
+/**
+ * Servers saved before the SSL settings had ssl: true or false,
+ * converted to the "require" and "disable" modes.
+ */
+export function normalize(ssl) {
+  if (ssl === true) { return { mode: 'require' }; }
+  if (ssl === false) { return { mode: 'disable' }; }
+  return ssl;
+}
+
+
+export function isEnabled(ssl) {
+  const settings = normalize(ssl);
+  return !!settings && !!settings.mode && settings.mode !== 'disable';
+}
+
+
+/**
+ * The mode for a libpq sslmode, "allow" falls back to SSL instead of the opposite
+ * but is the closest to "prefer"
+ */
+export function fromSslMode(sslMode) {
+  if (!sslMode) { return 'disable'; }
+  if (sslMode === 'allow') { return 'prefer'; }
+  return SSL_MODES.includes(sslMode) ? sslMode : 'require';
+}
+
+
+/**
+ * The mode for a MySQL ssl-mode such as VERIFY_IDENTITY
+ */
+export function fromMysqlSslMode(sslMode) {
+  return MYSQL_SSL_MODES[sslMode.toLowerCase()];
+}
+
+
+/**
+ * The SSL settings the client can't enforce, such as "mode verify-full" or "ca":
+ * the clients only encrypting the connection have no certificate settings
+ * and only the "disable", "prefer" and "require" modes.
+ */
+export function getUnsupportedSettings(client, ssl) {
+  const settings = normalize(ssl);
+  if (!ENCRYPT_ONLY_CLIENTS.includes(client) || !settings || typeof settings !== 'object') {
+    return [];
+  }
+
+  return Object.keys(settings)
+    .filter((field) => ![undefined, null, ''].includes(settings[field]))
+    .filter((field) => field !== 'mode' || !ENCRYPT_ONLY_MODES.includes(settings.mode))
+    .map((field) => (field === 'mode' ? `mode ${settings.mode}` : field));
+}
+
+
+/**
+ * The settings without the fields not set
+ */
+export function compact(settings) {
+  return Object.keys(settings)
+    .filter((field) => ![undefined, null, ''].includes(settings[field]))
+    .reduce((result, field) => ({ ...result, [field]: settings[field] }), {});
+}
+
+
+/**
+ * SSL settings with the certificate files of libpq:
+ * { sslmode, sslrootcert, sslcert, sslkey }
+ */
+export function fromLibpq({
+  sslmode, sslrootcert, sslcert, sslkey,
+}) {
+  return compact({
+    mode: fromSslMode(sslmode), ca: sslrootcert, cert: sslcert, key: sslkey,
+  });
+}
+
+
+async function readCertificateFile(settings, field) {
+  if (!settings[field]) { return undefined; }
+
+  try {
+    return await utils.readFile(utils.resolveHomePathToAbsolute(settings[field]));
+  } catch (err) {
+    throw new Error(`Unable to read the SSL ${field} file ${settings[field]}: ${err.message}`);
+  }
+}
+
+
+/**
+ * The TLS options used by the clients to connect (see tls.connect) with the content
+ * of the certificate files, "~/" being the home directory. false when SSL is disabled.
+ * Fails when the client can't enforce the settings, see getUnsupportedSettings,
+ * and with a minVersion on the Node.js versions ignoring it (before 11.4).
+ */
+export async function getConnectionOptions(ssl, client) {
+  const settings = normalize(ssl);
+  if (!isEnabled(settings)) {
+    return false;
+  }
+
+  const unsupported = getUnsupportedSettings(client, settings);
+  if (unsupported.length) {
+    throw new Error(`The SSL settings ${unsupported.join(', ')} are not supported by ${client}, it only encrypts the connection`);
+  }
+  if (settings.minVersion && !tls.DEFAULT_MIN_VERSION) {
+    throw new Error(`The SSL minVersion setting is not supported by Node.js ${process.version}, it requires 11.4 or later`);
+  }
+
+  const [ca, cert, key] = await Promise.all(
+    FILE_FIELDS.map((field) => readCertificateFile(settings, field)),
+  );
+
+  const options = compact({
+    rejectUnauthorized: VERIFY_MODES.includes(settings.mode),
+    ca,
+    cert,
+    key,
+    passphrase: settings.passphrase,
+    servername: settings.servername,
+    minVersion: settings.minVersion,
+  });
+
+  if (settings.mode === 'verify-ca') {
+    // the certificate is trusted whatever the host name it was issued for
+    options.checkServerIdentity = () => undefined;
+  }
+  return options;
+}
+
+
+/**
+ * Retries the connections of a database failing with SSL without it when the server
+ * is in "prefer" mode, see servers.resolve setting sslFallback, as libpq does.
+ * The next connections try SSL first again.
+ *
+ * @param {Object} database a sqlectron-db-core database of dbServer
+ * @param {Object} dbServer
+ */
+export function fallBackOnConnect(database, dbServer) {
+  const connect = database.connect.bind(database);
+
+  Object.assign(database, {
+    async connect() {
+      const { config } = dbServer;
+      try {
+        return await connect();
+      } catch (err) {
+        if (!config.sslFallback || !config.ssl) { throw err; }
+      }
+
+      const { ssl } = config;
+      config.ssl = false;
+      try {
+        return await connect();
+      } finally {
+        config.ssl = ssl;
+      }
+    },
+  });
+
+  return database;
+}
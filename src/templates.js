@@ -0,0 +1,89 @@
+import { v4 as uuidv4 } from 'uuid';
+import * as config from './config';
+import * as secrets from './secrets';
+import { formatErrors, validateTemplate } from './validators/config';
+import { validateUniqueId } from './validators/server';
+
+
+/**
+ * Server templates pre-fill the fields shared by many servers,
+ * such as the ssh, ssl and port settings: { id, name, server }.
+ * Templates never hold secrets.
+ */
+export async function getAll() {
+  const { templates } = await config.get();
+  return templates || [];
+}
+
+
+export async function getById(id) {
+  return (await getAll()).find((template) => template.id === id);
+}
+
+
+function prepare(template) {
+  const server = secrets.mapSecretValues(template.server || {}, () => undefined);
+  // drops the removed secrets
+  const prepared = JSON.parse(JSON.stringify({ ...template, server }));
+
+  const errors = validateTemplate(prepared);
+  if (errors.length) {
+    throw new Error(`Invalid template. ${formatErrors(errors)}`);
+  }
+  return prepared;
+}
+
+
+export async function add(template) {
+  const tpl = prepare({ ...template, id: template.id || uuidv4() });
+
+  await config.modify((data) => {
+    const templates = data.templates || [];
+    while (!validateUniqueId(templates, tpl.id)) {
+      tpl.id = uuidv4();
+    }
+    return { ...data, templates: [...templates, tpl] };
+  });
+
+  return tpl;
+}
+
+
+export async function update(template) {
+  const tpl = prepare(template);
+
+  await config.modify((data) => {
+    const templates = data.templates || [];
+    if (validateUniqueId(templates, tpl.id)) {
+      throw new Error(`Template not found: ${tpl.id}`);
+    }
+    return {
+      ...data,
+      templates: templates.map((item) => (item.id === tpl.id ? tpl : item)),
+    };
+  });
+
+  return tpl;
+}
+
+
+export async function removeById(id) {
+  await config.modify((data) => ({
+    ...data,
+    templates: (data.templates || []).filter((template) => template.id !== id),
+  }));
+}
+
+
+/**
+ * Fills a server with the template fields it does not set.
+ * The ssh settings are merged field by field.
+ */
+export function apply(template, server) {
+  const result = { ...template.server, ...server };
+
+  if (template.server.ssh && server.ssh) {
+    result.ssh = { ...template.server.ssh, ...server.ssh };
+  }
+  return result;
+}
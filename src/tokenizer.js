@@ -0,0 +1,180 @@
+// the syntax of the strings, quoted identifiers and comments of each client:
+// - backslashEscapes: the backslash escapes the next character inside the quotes
+// - escapeStrings: E'...' strings accept the backslash escapes, the other ones don't
+// - doubleQuotedStrings: "..." is a string instead of a quoted identifier
+// - hashComments: # starts a comment until the end of the line
+// - dashCommentsNeedSpace: -- only starts a comment when a space or the end of the query follows
+// - executableComments: the body of /*! ... */ and /*M! ... */ comments is run as code
+// - backticks and brackets: `name` and [name] are quoted identifiers
+// - dollarQuotes: $$...$$ and $tag$...$tag$ are strings
+const DIALECTS = {
+  mysql: {
+    backslashEscapes: true,
+    doubleQuotedStrings: true,
+    hashComments: true,
+    dashCommentsNeedSpace: true,
+    executableComments: true,
+    backticks: true,
+  },
+  mariadb: {
+    backslashEscapes: true,
+    doubleQuotedStrings: true,
+    hashComments: true,
+    dashCommentsNeedSpace: true,
+    executableComments: true,
+    backticks: true,
+  },
+  postgresql: { escapeStrings: true, dollarQuotes: true },
+  redshift: { dollarQuotes: true },
+  sqlserver: { brackets: true },
+  sqlite: { backticks: true, brackets: true },
+  cassandra: { dollarQuotes: true },
+};
+
+// the queries without client only have the standard SQL strings and the dollar quotes
+const DEFAULT_DIALECT = { dollarQuotes: true };
+
+const CLOSING_QUOTES = { "'": "'", '"': '"', '`': '`', '[': ']' };
+
+const DOLLAR_QUOTE = /\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/y;
+const WORD = /[A-Za-z_][A-Za-z0-9_$]*/y;
+const NUMBER = /\d+(?:\.\d+)?(?:e[+-]?\d+)?(?![A-Za-z0-9_$])/iy;
+const PARAM = /:[A-Za-z_][A-Za-z0-9_]*/y;
+// positional parameters such as $1 and the words starting with a digit such as 0x1F
+const OTHER_WORD = /\$?\d[A-Za-z0-9_$]*/y;
+// the opening of the executable comments with their optional version, e.g. /*!50000
+const EXECUTABLE_COMMENT = /\/\*M?!\d*/y;
+
+
+function matchAt(pattern, text, index) {
+  /* eslint no-param-reassign: 0 */
+  pattern.lastIndex = index;
+  const match = pattern.exec(text);
+  return match && match[0];
+}
+
+
+// index after the quoted text starting at start, the quotes are escaped by doubling them
+function findQuoteEnd(sql, start, backslashEscapes) {
+  const closing = CLOSING_QUOTES[sql[start]];
+  let index = start + 1;
+  while (index < sql.length) {
+    if (backslashEscapes && sql[index] === '\\') {
+      index += 2;
+    } else if (sql[index] === closing && sql[index + 1] === closing) {
+      index += 2;
+    } else if (sql[index] === closing) {
+      return index + 1;
+    } else {
+      index += 1;
+    }
+  }
+  return sql.length;
+}
+
+
+function findEnd(sql, terminator, start, inclusive) {
+  const end = sql.indexOf(terminator, start);
+  if (end === -1) { return sql.length; }
+  return inclusive ? end + terminator.length : end;
+}
+
+
+// [type, end] of the token starting at index
+function readToken(sql, index, dialect) {
+  const char = sql[index];
+  const next = sql[index + 1];
+
+  const dashComment = char === '-' && next === '-'
+    && (!dialect.dashCommentsNeedSpace || !sql[index + 2] || /\s/.test(sql[index + 2]));
+  if (dashComment || (char === '#' && dialect.hashComments)) {
+    return ['comment', findEnd(sql, '\n', index)];
+  }
+  if (char === '/' && next === '*') {
+    return ['comment', findEnd(sql, '*/', index + 2, true)];
+  }
+  if ((char === 'E' || char === 'e') && next === "'" && dialect.escapeStrings) {
+    return ['string', findQuoteEnd(sql, index + 1, true)];
+  }
+  if (char === "'") {
+    return ['string', findQuoteEnd(sql, index, dialect.backslashEscapes)];
+  }
+  if (char === '"') {
+    return dialect.doubleQuotedStrings
+      ? ['string', findQuoteEnd(sql, index, dialect.backslashEscapes)]
+      : ['identifier', findQuoteEnd(sql, index, false)];
+  }
+  if ((char === '`' && dialect.backticks) || (char === '[' && dialect.brackets)) {
+    return ['identifier', findQuoteEnd(sql, index, false)];
+  }
+
+  const dollarQuote = char === '$' && dialect.dollarQuotes && matchAt(DOLLAR_QUOTE, sql, index);
+  if (dollarQuote) {
+    return ['string', findEnd(sql, dollarQuote, index + dollarQuote.length, true)];
+  }
+  if (char === ';') {
+    return ['separator', index + 1];
+  }
+  // "::" casts are not parameters
+  if (char === ':' && next === ':') {
+    return ['text', index + 2];
+  }
+
+  const param = char === ':' && matchAt(PARAM, sql, index);
+  if (param) {
+    return ['param', index + param.length];
+  }
+
+  const word = matchAt(WORD, sql, index);
+  if (word) {
+    return ['text', index + word.length];
+  }
+
+  const number = matchAt(NUMBER, sql, index);
+  if (number) {
+    return ['number', index + number.length];
+  }
+
+  const otherWord = matchAt(OTHER_WORD, sql, index);
+  return ['text', index + (otherWord ? otherWord.length : 1)];
+}
+
+
+/**
+ * Splits a query in tokens following the syntax of the client, so the strings
+ * hiding a ";" or a quote are recognized as the database reads them,
+ * e.g. 'C:\' is a whole string in PostgreSQL but not in MySQL. The body of the MySQL
+ * executable comments, e.g. /*!50000 ... *\/, is split as code since MySQL runs it.
+ *
+ * @param {string} sql
+ * @param {string} [client] one of the CLIENTS keys
+ * @returns {Object[]} { type, text } where type is "string", "identifier" (quoted),
+ * "comment", "number", "param" (:name), "separator" (;) or "text"
+ */
+export function tokenize(sql, client) {
+  const dialect = DIALECTS[client] || DEFAULT_DIALECT;
+  const tokens = [];
+
+  // the opening and closing of the executable comments are comments, their body is code
+  let executable = false;
+  let index = 0;
+  while (index < sql.length) {
+    const opening = dialect.executableComments && !executable
+      && matchAt(EXECUTABLE_COMMENT, sql, index);
+    let token;
+    if (opening) {
+      executable = true;
+      token = ['comment', index + opening.length];
+    } else if (executable && sql.startsWith('*/', index)) {
+      executable = false;
+      token = ['comment', index + 2];
+    } else {
+      token = readToken(sql, index, dialect);
+    }
+
+    const [type, end] = token;
+    tokens.push({ type, text: sql.slice(index, end) });
+    index = end;
+  }
+  return tokens;
+}
@@ -0,0 +1,402 @@
+import net from 'net';
+import { createHash, createHmac } from 'crypto';
+import { Client } from 'ssh2';
+import * as db from 'sqlectron-db-core';
+import createLogger from 'sqlectron-db-core/logger';
+import * as ssl from './ssl';
+import * as utils from './utils';
+
+const logger = createLogger('tunnel');
+
+export const SSH_DEFAULT_PORT = 22;
+
+// the host keys are hashed as the fingerprints printed by OpenSSH
+const HOST_KEY_HASH = 'sha256';
+
+// tunnels being opened by server, so the connections opening together share them
+const openingTunnels = new WeakMap();
+
+
+export class HostKeyError extends Error {
+  constructor(host, fingerprint, reason) {
+    super(`The host key ${fingerprint} of ${host} ${reason}`);
+    this.name = 'HostKeyError';
+    this.code = 'EHOSTKEY';
+    this.host = host;
+    this.fingerprint = fingerprint;
+  }
+}
+
+
+/**
+ * SSH settings of a server:
+ * { host, port, user, password, privateKey, passphrase, agent, hostFingerprint,
+ *   knownHostsFile, jumpHosts }
+ * - privateKey: path of the private key file, passphrase being its passphrase
+ * - agent: authenticates with the keys of the ssh-agent (SSH_AUTH_SOCK, pageant on Windows)
+ * - hostFingerprint: SHA256 fingerprint of the host key as printed by ssh-keygen -l
+ * - knownHostsFile: OpenSSH known_hosts file listing the trusted host keys,
+ *   the hosts with a hostFingerprint are checked against it instead
+ * - jumpHosts: the SSH servers to go through to reach this one, in order,
+ *   each with its own { host, port, user, password, privateKey, passphrase,
+ *   agent, hostFingerprint }
+ *
+ * Returns the SSH servers of the tunnel in the order they are connected to.
+ */
+export function getHops(ssh) {
+  return [...(ssh.jumpHosts || []), ssh];
+}
+
+
+function formatFingerprint(digest) {
+  return `SHA256:${digest.toString('base64').replace(/=+$/, '')}`;
+}
+
+
+/**
+ * The OpenSSH fingerprint of a host key, e.g. SHA256:uNiVztksCsDhcc0u9e8BujQXVUpKZIDTMczCvj3tD2s
+ */
+export function getFingerprint(key) {
+  return formatFingerprint(createHash(HOST_KEY_HASH).update(key).digest());
+}
+
+
+/**
+ * Parses the entries of an OpenSSH known_hosts file: { marker, patterns, fingerprint }
+ * where marker is "@revoked" or "@cert-authority" for the marked entries.
+ */
+export function parseKnownHosts(content) {
+  return content.split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => {
+      const fields = line.split(/\s+/);
+      const marker = fields[0].startsWith('@') ? fields.shift() : undefined;
+      const [hosts, , key] = fields;
+      return {
+        marker,
+        patterns: hosts.split(','),
+        fingerprint: key ? getFingerprint(Buffer.from(key, 'base64')) : undefined,
+      };
+    })
+    .filter((entry) => entry.fingerprint);
+}
+
+
+// the name of the host in the known_hosts files, "[host]:port" for the non default ports
+function getKnownHostName(hop) {
+  const port = hop.port || SSH_DEFAULT_PORT;
+  return port === SSH_DEFAULT_PORT ? hop.host : `[${hop.host}]:${port}`;
+}
+
+
+// patterns are host names with * and ? wildcards or hashed names: |1|salt|hash
+function matchesPattern(pattern, name) {
+  if (pattern.startsWith('|1|')) {
+    const [salt, hash] = pattern.slice(3).split('|');
+    return createHmac('sha1', Buffer.from(salt, 'base64')).update(name).digest('base64') === hash;
+  }
+
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i').test(name);
+}
+
+
+// the negated patterns such as !bastion.example.com exclude the hosts they match
+function matchesHost(patterns, name) {
+  const negated = patterns.filter((pattern) => pattern.startsWith('!'));
+  if (negated.some((pattern) => matchesPattern(pattern.slice(1), name))) {
+    return false;
+  }
+  return patterns.some((pattern) => !pattern.startsWith('!') && matchesPattern(pattern, name));
+}
+
+
+/**
+ * Why the host key is not trusted, undefined when it is. Every key is trusted
+ * for the hosts without hostFingerprint when there is no known_hosts file.
+ */
+function checkHostKey(hop, fingerprint, knownHosts) {
+  if (hop.hostFingerprint) {
+    return hop.hostFingerprint.replace(/=+$/, '') === fingerprint
+      ? undefined
+      : `does not match the fingerprint ${hop.hostFingerprint}`;
+  }
+  if (!knownHosts) {
+    return undefined;
+  }
+
+  const name = getKnownHostName(hop);
+  const entries = knownHosts.filter((entry) => matchesHost(entry.patterns, name));
+  if (entries.some((entry) => entry.marker === '@revoked' && entry.fingerprint === fingerprint)) {
+    return 'is revoked in the known hosts file';
+  }
+  if (entries.some((entry) => !entry.marker && entry.fingerprint === fingerprint)) {
+    return undefined;
+  }
+  return entries.some((entry) => !entry.marker)
+    ? 'does not match the key of the known hosts file, the host key may have changed'
+    : 'is not in the known hosts file';
+}
+
+
+async function readKnownHosts(filename) {
+  try {
+    return parseKnownHosts(await utils.readFile(utils.resolveHomePathToAbsolute(filename)));
+  } catch (err) {
+    throw new Error(`Unable to read the known hosts file ${filename}: ${err.message}`);
+  }
+}
+
+
+async function readPrivateKey(filename) {
+  try {
+    return await utils.readFile(utils.resolveHomePathToAbsolute(filename));
+  } catch (err) {
+    throw new Error(`Unable to read the SSH private key ${filename}: ${err.message}`);
+  }
+}
+
+
+/**
+ * The socket of the ssh-agent, "pageant" on Windows
+ */
+export function getAgentSocket() {
+  if (process.platform === 'win32') {
+    return 'pageant';
+  }
+  if (!process.env.SSH_AUTH_SOCK) {
+    throw new Error('The SSH agent is not running, SSH_AUTH_SOCK is not set');
+  }
+  return process.env.SSH_AUTH_SOCK;
+}
+
+
+/**
+ * The ssh2 connect options of an SSH server of the tunnel, with the content of its private key
+ */
+export async function getConnectOptions(hop) {
+  const options = {
+    host: hop.host,
+    port: hop.port || SSH_DEFAULT_PORT,
+    username: hop.user,
+  };
+  if (hop.password) { options.password = hop.password; }
+  if (hop.agent) { options.agent = getAgentSocket(); }
+  if (hop.privateKey) {
+    options.privateKey = await readPrivateKey(hop.privateKey);
+    if (hop.passphrase) { options.passphrase = hop.passphrase; }
+  }
+  return options;
+}
+
+
+// resolves the ssh2 client once authenticated, onLost being called when it closes later
+function connectClient(hop, options, knownHosts, onLost) {
+  return new Promise((resolve, reject) => {
+    const client = new Client();
+    let hostKeyError;
+
+    const onError = (err) => reject(hostKeyError || err);
+    const onClose = () => reject(
+      hostKeyError || new Error(`The SSH server ${hop.host} closed the connection`),
+    );
+    client.on('error', onError);
+    client.once('close', onClose);
+    client.once('ready', () => {
+      client.removeListener('error', onError);
+      client.removeListener('close', onClose);
+      client.on('error', onLost);
+      client.on('close', () => onLost());
+      resolve(client);
+    });
+
+    client.connect({
+      ...options,
+      hostHash: HOST_KEY_HASH,
+      hostVerifier(hashedKey) {
+        const fingerprint = formatFingerprint(Buffer.from(hashedKey, 'hex'));
+        const reason = checkHostKey(hop, fingerprint, knownHosts);
+        if (reason) {
+          hostKeyError = new HostKeyError(hop.host, fingerprint, reason);
+        }
+        return !reason;
+      },
+    });
+  });
+}
+
+
+function forwardOut(client, host, port) {
+  return new Promise((resolve, reject) => {
+    client.forwardOut('localhost', 0, host, port, (err, stream) => (
+      err ? reject(err) : resolve(stream)
+    ));
+  });
+}
+
+
+function endClients(clients) {
+  [...clients].reverse().forEach((client) => client.end());
+}
+
+
+// connects to each SSH server through the previous one
+async function connectHops(hops, optionsList, knownHosts, onLost) {
+  const clients = [];
+  try {
+    await hops.reduce((previous, hop, index) => previous.then(async () => {
+      const options = { ...optionsList[index] };
+      if (clients.length) {
+        logger().debug('jumping to %s:%d', options.host, options.port);
+        options.sock = await forwardOut(clients[clients.length - 1], options.host, options.port);
+      }
+      clients.push(await connectClient(hop, options, knownHosts, onLost));
+    }), Promise.resolve());
+  } catch (err) {
+    endClients(clients);
+    throw err;
+  }
+  return clients;
+}
+
+
+/**
+ * Creates a local TCP server forwarding each connection to the database server
+ * through the SSH servers of the tunnel, see getHops. The SSH connections are opened
+ * with the first forwarded connection and shared by the next ones.
+ * Like the tunnels of sqlectron-db-core it emits "success" when a connection
+ * is forwarded and "error" when it is not.
+ *
+ * @param {Object} server the server configuration, with its secrets decrypted
+ * @returns {Promise<net.Server>} the local server, listening on a random port
+ */
+export async function createTunnel(server) {
+  if (!server.port || !server.host) {
+    throw new Error('Host and port not specified for tunnel');
+  }
+  if (!server.ssh) {
+    throw new Error('SSH information not specified');
+  }
+
+  const hops = getHops(server.ssh);
+  const [optionsList, knownHosts] = await Promise.all([
+    Promise.all(hops.map(getConnectOptions)),
+    server.ssh.knownHostsFile ? readKnownHosts(server.ssh.knownHostsFile) : null,
+  ]);
+
+  let chain = null;
+  const tunnel = net.createServer((conn) => {
+    conn.on('error', (err) => tunnel.emit('error', err));
+
+    if (!chain) {
+      const opening = connectHops(hops, optionsList, knownHosts, (err) => {
+        if (chain === opening) { chain = null; }
+        opening.then(endClients, () => {});
+        if (err) { tunnel.emit('error', err); }
+      });
+      opening.catch(() => {
+        if (chain === opening) { chain = null; }
+      });
+      chain = opening;
+    }
+
+    chain
+      .then((clients) => forwardOut(clients[clients.length - 1], server.host, server.port))
+      .then((stream) => {
+        tunnel.emit('success');
+        conn.pipe(stream).pipe(conn);
+      })
+      .catch((err) => {
+        logger().error('error forwarding through the ssh tunnel %j', err);
+        conn.destroy();
+        tunnel.emit('error', err);
+      });
+  });
+
+  tunnel.once('close', () => {
+    if (chain) { chain.then(endClients, () => {}); }
+  });
+
+  await new Promise((resolve, reject) => {
+    tunnel.once('error', reject);
+    tunnel.listen(0, 'localhost', () => {
+      tunnel.removeListener('error', reject);
+      resolve();
+    });
+  });
+  return tunnel;
+}
+
+
+/**
+ * Opens the tunnel of a sqlectron-db-core server before it connects, reused by its
+ * connections instead of the tunnel of sqlectron-db-core, which has neither jump hosts,
+ * agent authentication nor host key checks.
+ */
+export function open(dbServer) {
+  /* eslint no-param-reassign: 0 */
+  const { config } = dbServer;
+  if (!config.ssh || dbServer.sshTunnel) {
+    return Promise.resolve();
+  }
+
+  if (!openingTunnels.has(dbServer)) {
+    const opening = createTunnel(config)
+      .then((tunnel) => {
+        const { address, port } = tunnel.address();
+        logger().debug('ssh forwarding through local connection %s:%d', address, port);
+        dbServer.sshTunnel = tunnel;
+        config.localHost = address;
+        config.localPort = port;
+      })
+      .finally(() => openingTunnels.delete(dbServer));
+    openingTunnels.set(dbServer, opening);
+  }
+  return openingTunnels.get(dbServer);
+}
+
+
+// the tunnel of the server is opened before connecting, see open
+function openOnConnect(database, dbServer) {
+  const connect = database.connect.bind(database);
+
+  Object.assign(database, {
+    async connect() {
+      await open(dbServer);
+      return connect();
+    },
+  });
+
+  return database;
+}
+
+
+/**
+ * Creates a sqlectron-db-core server whose connections go through the tunnels
+ * of createTunnel, see open. Exported as db.createServer so the jump hosts,
+ * agent and host key settings are never ignored. The connections also fall back
+ * to an unencrypted connection in SSL "prefer" mode, see ssl.fallBackOnConnect.
+ *
+ * @param {Object} server the server configuration, with its secrets decrypted
+ */
+export function createServer(server) {
+  const dbServer = db.createServer(server);
+  const tunneledDatabases = new WeakSet();
+
+  const createConnection = dbServer.createConnection.bind(dbServer);
+  dbServer.createConnection = (dbName) => {
+    const database = createConnection(dbName);
+    if (!tunneledDatabases.has(database)) {
+      openOnConnect(database, dbServer);
+      ssl.fallBackOnConnect(database, dbServer);
+      tunneledDatabases.add(database);
+    }
+    return database;
+  };
+
+  return dbServer;
+}
@@ -1,6 +1,7 @@
 import fs from 'fs';
 import { homedir } from 'os';
 import path from 'path';
+import { promisify } from 'util';
 import mkdirp from 'mkdirp';
 import envPaths from 'env-paths';
 
@@ -14,29 +15,128 @@ export {
   versionCompare,
 } from 'sqlectron-db-core/utils';
 
+/**
+ * Profiles are separate sets of servers and settings, each with its own
+ * configuration file. The default profile uses the usual configuration file.
+ */
+export const DEFAULT_PROFILE = 'default';
+
+const CONFIG_NAME = 'sqlectron.json';
+
 let configPath = '';
+let profile = null;
+let tmpFileCounter = 0;
 
-export function getConfigPath() {
+const fsOpen = promisify(fs.open);
+const fsWriteFile = promisify(fs.writeFile);
+const fsFsync = promisify(fs.fsync);
+const fsClose = promisify(fs.close);
+const fsRename = promisify(fs.rename);
+const fsUnlink = promisify(fs.unlink);
+const fsStat = promisify(fs.stat);
+const fsReaddir = promisify(fs.readdir);
+const fsRmdir = promisify(fs.rmdir);
+const fsAppendFile = promisify(fs.appendFile);
+
+function getConfigDir() {
+  if (process.env.SQLECTRON_HOME) {
+    return process.env.SQLECTRON_HOME;
+  }
+  return envPaths('Sqlectron', { suffix: '' }).config;
+}
+
+
+function getDefaultConfigPath() {
   if (configPath) {
     return configPath;
   }
 
-  const configName = 'sqlectron.json';
-  const oldConfigPath = path.join(homedir(), `.${configName}`);
+  const oldConfigPath = path.join(homedir(), `.${CONFIG_NAME}`);
 
-  if (process.env.SQLECTRON_HOME) {
-    configPath = path.join(process.env.SQLECTRON_HOME, configName);
-  } else if (fileExistsSync(oldConfigPath)) {
+  if (!process.env.SQLECTRON_HOME && fileExistsSync(oldConfigPath)) {
     configPath = oldConfigPath;
   } else {
-    const newConfigDir = envPaths('Sqlectron', { suffix: '' }).config;
-    configPath = path.join(newConfigDir, configName);
+    configPath = path.join(getConfigDir(), CONFIG_NAME);
   }
 
   return configPath;
 }
 
 
+/**
+ * The active profile, set with setProfile or SQLECTRON_PROFILE on start
+ */
+export function getProfile() {
+  return profile || process.env.SQLECTRON_PROFILE || DEFAULT_PROFILE;
+}
+
+
+export function setProfile(name) {
+  profile = name;
+}
+
+
+export function getProfilesPath() {
+  return path.join(getConfigDir(), 'profiles');
+}
+
+
+export function getProfileConfigPath(name) {
+  if (name === DEFAULT_PROFILE) {
+    return getDefaultConfigPath();
+  }
+  return path.join(getProfilesPath(), name, CONFIG_NAME);
+}
+
+
+/**
+ * The configuration file of the active profile
+ */
+export function getConfigPath() {
+  return getProfileConfigPath(getProfile());
+}
+
+
+/**
+ * Read only configuration shared by every user of the machine, e.g. managed by a team.
+ * SQLECTRON_SYSTEM_CONFIG overrides the default location.
+ */
+export function getSystemConfigPath() {
+  if (process.env.SQLECTRON_SYSTEM_CONFIG) {
+    return process.env.SQLECTRON_SYSTEM_CONFIG;
+  }
+
+  if (process.platform === 'win32') {
+    const programData = process.env.PROGRAMDATA || 'C:\\ProgramData';
+    return path.join(programData, 'Sqlectron', 'sqlectron.json');
+  }
+  return path.join('/etc', 'sqlectron', 'sqlectron.json');
+}
+
+
+/**
+ * Project configuration: the closest .sqlectron.json from the working directory
+ * up to the home directory, which is not searched because it may hold the
+ * legacy user configuration file.
+ */
+export function getProjectConfigPath(cwd = process.cwd()) {
+  const home = homedir();
+
+  let dir = path.resolve(cwd);
+  while (dir !== home) {
+    const filename = path.join(dir, '.sqlectron.json');
+    if (fileExistsSync(filename)) {
+      return filename;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) { return null; }
+    dir = parent;
+  }
+  return null;
+}
+
+
 export function fileExists(filename) {
   return new Promise((resolve) => {
     fs.stat(filename, (err, stats) => {
@@ -56,23 +156,149 @@ export function fileExistsSync(filename) {
 }
 
 
-export function writeFile(filename, data) {
-  return new Promise((resolve, reject) => {
-    fs.writeFile(filename, data, (err) => {
-      if (err) return reject(err);
-      resolve();
-    });
-  });
+export function getBackupPath(filename) {
+  return `${filename}.bak`;
+}
+
+
+function getTempPath(filename) {
+  tmpFileCounter += 1;
+  return `${filename}.${process.pid}.${tmpFileCounter}.tmp`;
+}
+
+
+// keeps the permissions of the file being replaced
+async function getFileMode(filename) {
+  try {
+    return (await fsStat(filename)).mode;
+  } catch (err) {
+    return 0o666;
+  }
+}
+
+
+function getFileModeSync(filename) {
+  try {
+    return fs.statSync(filename).mode;
+  } catch (err) {
+    return 0o666;
+  }
+}
+
+
+/**
+ * Writes the data to a temporary file flushed to the disk and then renames
+ * it over the destination, so the file is never left partially written.
+ * The file keeps its current permissions unless options.mode is given.
+ */
+export async function writeFile(filename, data, { mode } = {}) {
+  const tmpPath = getTempPath(filename);
+
+  try {
+    const fd = await fsOpen(tmpPath, 'w', mode || await getFileMode(filename));
+    try {
+      await fsWriteFile(fd, data);
+      await fsFsync(fd);
+    } finally {
+      await fsClose(fd);
+    }
+
+    await fsRename(tmpPath, filename);
+  } catch (err) {
+    await fsUnlink(tmpPath).catch(() => {});
+    throw err;
+  }
+}
+
+
+export function writeFileSync(filename, data, { mode } = {}) {
+  const tmpPath = getTempPath(filename);
+
+  try {
+    const fd = fs.openSync(tmpPath, 'w', mode || getFileModeSync(filename));
+    try {
+      fs.writeFileSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    fs.renameSync(tmpPath, filename);
+  } catch (err) {
+    try { fs.unlinkSync(tmpPath); } catch (e) { /* already removed */ }
+    throw err;
+  }
+}
+
+
+function isValidJSON(data) {
+  try {
+    JSON.parse(data);
+    return true;
+  } catch (err) {
+    return false;
+  }
 }
 
 
-export function writeJSONFile(filename, data) {
+// keeps the current file as backup before it is replaced, unless it is corrupted
+async function backupJSONFile(filename) {
+  let data;
+  try {
+    data = await readFile(filename);
+  } catch (err) {
+    return;
+  }
+
+  if (isValidJSON(data)) {
+    await writeFile(getBackupPath(filename), data);
+  }
+}
+
+
+function backupJSONFileSync(filename) {
+  let data;
+  try {
+    data = fs.readFileSync(filename, { encoding: 'utf-8' });
+  } catch (err) {
+    return;
+  }
+
+  if (isValidJSON(data)) {
+    writeFileSync(getBackupPath(filename), data);
+  }
+}
+
+
+export async function writeJSONFile(filename, data) {
+  await backupJSONFile(filename);
   return writeFile(filename, JSON.stringify(data, null, 2));
 }
 
 
 export function writeJSONFileSync(filename, data) {
-  return fs.writeFileSync(filename, JSON.stringify(data, null, 2));
+  backupJSONFileSync(filename);
+  return writeFileSync(filename, JSON.stringify(data, null, 2));
+}
+
+
+export function appendFile(filename, data, { mode } = {}) {
+  return fsAppendFile(filename, data, { mode });
+}
+
+
+export function copyFile(src, dest) {
+  return new Promise((resolve, reject) => {
+    fs.copyFile(src, dest, (err) => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+
+export function copyFileSync(src, dest) {
+  return fs.copyFileSync(src, dest);
 }
 
 
@@ -94,3 +320,66 @@ export function createParentDirectory(filename) {
 export function createParentDirectorySync(filename) {
   mkdirp.sync(path.dirname(filename));
 }
+
+export async function listDirectories(dirname) {
+  try {
+    const entries = await fsReaddir(dirname, { withFileTypes: true });
+    return entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name);
+  } catch (err) {
+    if (err.code === 'ENOENT') { return []; }
+    throw err;
+  }
+}
+
+export async function removeDirectory(dirname) {
+  const entries = await fsReaddir(dirname, { withFileTypes: true });
+  await Promise.all(entries.map((entry) => {
+    const filename = path.join(dirname, entry.name);
+    return entry.isDirectory() ? removeDirectory(filename) : fsUnlink(filename);
+  }));
+  await fsRmdir(dirname);
+}
+
+
+/**
+ * Reads a nested field such as "ssh.password" or "ssh.jumpHosts.0.password"
+ */
+export function getField(obj, field) {
+  return field.split('.').reduce((value, key) => (
+    value && typeof value === 'object' ? value[key] : undefined
+  ), obj);
+}
+
+
+/**
+ * Returns a copy of the object with a nested field such as "ssh.password" set,
+ * the arrays being copied as arrays
+ */
+export function setField(obj, field, value) {
+  const [key, ...rest] = field.split('.');
+  const fieldValue = rest.length ? setField(obj[key], rest.join('.'), value) : value;
+  if (Array.isArray(obj)) {
+    return obj.map((item, index) => (String(index) === key ? fieldValue : item));
+  }
+  return { ...obj, [key]: fieldValue };
+}
+
+
+/**
+ * The paths of a nested field where "*" stands for each item of an array,
+ * e.g. "ssh.jumpHosts.*.password" gives "ssh.jumpHosts.0.password", "ssh.jumpHosts.1.password"...
+ */
+export function expandField(obj, field) {
+  const [arrayField, ...rest] = field.split('.*');
+  if (!rest.length) {
+    return [field];
+  }
+
+  const items = getField(obj, arrayField);
+  if (!Array.isArray(items)) {
+    return [];
+  }
+  return items.reduce((paths, item, index) => (
+    paths.concat(expandField(obj, `${arrayField}.${index}${rest.join('.*')}`))
+  ), []);
+}
@@ -0,0 +1,442 @@
+import Valida from 'valida2';
+import { CLIENTS } from 'sqlectron-db-core';
+import { getSchema as getServerSchema, normalizeGroup, validateUniqueId } from './server';
+import { getStoreTypes } from '../secrets';
+import { PARAM_TYPES, getParamNames } from '../snippets';
+import { SETTINGS } from '../settings';
+
+
+const MESSAGES = {
+  required: () => 'This field is required.',
+  len: ({ min, max }) => {
+    if (min && max) { return `Length must be between ${min} and ${max}.`; }
+    return max ? `Length must be at most ${max}.` : `Length must be at least ${min}.`;
+  },
+  range: ({ min, max }) => {
+    if (min !== undefined && max !== undefined) { return `Value must be between ${min} and ${max}.`; }
+    return max !== undefined ? `Value must be at most ${max}.` : `Value must be at least ${min}.`;
+  },
+  integer: () => 'Invalid integer value.',
+  array: () => 'Invalid array value.',
+  plainObject: () => 'Invalid object value.',
+};
+
+
+// validators for the types of the settings declared in SETTINGS
+const SETTING_TYPES = {
+  integer: Valida.Validator.integer,
+  boolean: Valida.Validator.bool,
+};
+
+
+// the settings are optional in the configuration file, the default values apply
+function getSettingRules({ type, min, max }) {
+  const rules = [{ validator: SETTING_TYPES[type] }];
+  if (min !== undefined || max !== undefined) {
+    rules.push({ validator: Valida.Validator.range, min, max });
+  }
+  return rules;
+}
+
+
+const CONFIG_SCHEMA = {
+  version: [
+    { validator: Valida.Validator.integer },
+    { validator: Valida.Validator.range, min: 0 },
+  ],
+  revision: [
+    { validator: Valida.Validator.integer },
+    { validator: Valida.Validator.range, min: 0 },
+  ],
+  secretStore: [
+    { validator: secretStoreValidator },
+  ],
+  masterPassword: [
+    { validator: Valida.Validator.plainObject },
+  ],
+  servers: [
+    { validator: Valida.Validator.required },
+    { validator: Valida.Validator.array },
+  ],
+  templates: [
+    { validator: Valida.Validator.array },
+  ],
+  snippets: [
+    { validator: Valida.Validator.array },
+  ],
+  ...Object.keys(SETTINGS).reduce((schema, key) => ({
+    ...schema,
+    [key]: getSettingRules(SETTINGS[key]),
+  }), {}),
+};
+
+
+const TEMPLATE_SCHEMA = {
+  id: [
+    { validator: Valida.Validator.required },
+    { validator: Valida.Validator.len, min: 1 },
+  ],
+  name: [
+    { sanitizer: Valida.Sanitizer.trim },
+    { validator: Valida.Validator.required },
+    { validator: Valida.Validator.len, min: 1 },
+  ],
+  server: [
+    { validator: Valida.Validator.required },
+    { validator: Valida.Validator.plainObject },
+  ],
+};
+
+const SNIPPET_SCHEMA = {
+  id: [
+    { validator: Valida.Validator.required },
+    { validator: Valida.Validator.len, min: 1 },
+  ],
+  name: [
+    { sanitizer: Valida.Sanitizer.trim },
+    { validator: Valida.Validator.required },
+    { validator: Valida.Validator.len, min: 1 },
+  ],
+  folder: [
+    { sanitizer: folderSanitizer },
+    { validator: folderValidator },
+  ],
+  clients: [
+    { validator: clientsValidator },
+  ],
+  sql: [
+    { validator: Valida.Validator.required },
+    { validator: Valida.Validator.len, min: 1 },
+    { validator: snippetSqlValidator },
+  ],
+  params: [
+    { validator: snippetParamsValidator },
+  ],
+};
+
+const PARAM_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// templates pre-fill only some fields, so the rules checking the whole server do not apply
+const TEMPLATE_IGNORED_VALIDATORS = ['required', 'serverAddressValidator'];
+
+
+function secretStoreValidator(ctx, options, value) {
+  if (value === undefined || value === null) { return undefined; }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { validator: 'plainObject' };
+  }
+
+  if (!getStoreTypes().includes(value.type)) {
+    return {
+      validator: 'secretStoreValidator',
+      msg: `Invalid secret store type, use one of: ${getStoreTypes().join(', ')}.`,
+    };
+  }
+
+  if (value.type === 'command' && (typeof value.command !== 'string' || !value.command)) {
+    return {
+      validator: 'secretStoreValidator',
+      msg: 'The command secret store requires a command.',
+    };
+  }
+}
+
+
+function folderSanitizer(ctx, options, value) {
+  return normalizeGroup(value);
+}
+
+
+function folderValidator(ctx, options, value) {
+  if (value === undefined || value === null) { return undefined; }
+  if (typeof value !== 'string' || value.split('/').some((name) => !name)) {
+    return {
+      validator: 'folderValidator',
+      msg: 'Invalid folder, use folder names separated by "/".',
+    };
+  }
+}
+
+
+function clientsValidator(ctx, options, value) {
+  if (value === undefined || value === null) { return undefined; }
+  const isClient = (client) => CLIENTS.some((dbClient) => dbClient.key === client);
+  if (!Array.isArray(value) || !value.every(isClient)) {
+    return {
+      validator: 'clientsValidator',
+      msg: `Invalid clients, use a list of: ${CLIENTS.map((dbClient) => dbClient.key).join(', ')}.`,
+    };
+  }
+}
+
+
+function snippetParamsValidator(ctx, options, value) {
+  if (value === undefined || value === null) { return undefined; }
+
+  const isValidParam = (param) => isPlainObject(param)
+    && typeof param.name === 'string' && PARAM_NAME_PATTERN.test(param.name)
+    && PARAM_TYPES.includes(param.type);
+
+  if (!Array.isArray(value) || !value.every(isValidParam)) {
+    return {
+      validator: 'snippetParamsValidator',
+      msg: `Invalid parameters, use a list of { name, type } where type is one of: ${PARAM_TYPES.join(', ')}.`,
+    };
+  }
+
+  if (new Set(value.map((param) => param.name)).size !== value.length) {
+    return {
+      validator: 'snippetParamsValidator',
+      msg: 'Duplicated parameter.',
+    };
+  }
+}
+
+
+// every :param of the query must be declared, reading it with the syntax of each client
+function snippetSqlValidator(ctx, options, value) {
+  if (typeof value !== 'string') { return undefined; }
+
+  const declared = Array.isArray(ctx.obj.params)
+    ? ctx.obj.params.map((param) => param && param.name)
+    : [];
+  const clients = Array.isArray(ctx.obj.clients) && ctx.obj.clients.length
+    ? ctx.obj.clients
+    : [undefined];
+  const undeclared = clients
+    .reduce((names, client) => names.concat(getParamNames(value, client)), [])
+    .filter((name, index, names) => !declared.includes(name) && names.indexOf(name) === index);
+  if (undeclared.length) {
+    return {
+      validator: 'snippetSqlValidator',
+      msg: `Undeclared parameters: ${undeclared.map((name) => `:${name}`).join(', ')}.`,
+    };
+  }
+}
+
+
+export class ConfigValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration file format (${errors.length} error(s))`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+
+export function formatPath(segments) {
+  return segments.reduce((result, segment) => (
+    typeof segment === 'number' ? `${result}[${segment}]` : `${result}.${segment}`
+  ), '$');
+}
+
+
+/**
+ * Formats a list of errors as a single line message
+ */
+export function formatErrors(errors) {
+  return errors.map((error) => `${error.path}: ${error.message}`).join(' ');
+}
+
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+
+function buildError(segments, error) {
+  const describe = MESSAGES[error.validator];
+  return {
+    path: formatPath(segments),
+    segments,
+    validator: error.validator,
+    message: error.msg || (describe ? describe(error) : 'Invalid value.'),
+  };
+}
+
+
+/**
+ * Runs a valida schema synchronously over a copy of the value.
+ * Nested schema rules are walked here instead of through the async valida
+ * schema validator so every error keeps its full path.
+ */
+function collectErrors(value, schema, segments, errors) {
+  const obj = JSON.parse(JSON.stringify(value));
+  const flatSchema = {};
+  const nested = [];
+
+  Object.keys(schema).forEach((key) => {
+    flatSchema[key] = schema[key].filter((rule) => {
+      if (rule.validator !== Valida.Validator.schema) { return true; }
+      nested.push({ key, schema: rule.schema });
+      return false;
+    });
+  });
+
+  let ctx;
+  Valida.process(obj, flatSchema, (err, result) => {
+    if (err) { throw err; }
+    ctx = result;
+  });
+
+  const fieldErrors = ctx.errors() || {};
+  Object.keys(fieldErrors).forEach((key) => {
+    fieldErrors[key].forEach((error) => errors.push(buildError([...segments, key], error)));
+  });
+
+  // the nested values are checked once sanitized, e.g. the legacy ssl: true
+  nested.forEach(({ key, schema: nestedSchema }) => {
+    const nestedValue = obj[key];
+    if (nestedValue === undefined || nestedValue === null) { return; }
+
+    if (Array.isArray(nestedValue)) {
+      nestedValue.forEach((item, index) => {
+        collectErrors(item, nestedSchema, [...segments, key, index], errors);
+      });
+    } else if (isPlainObject(nestedValue)) {
+      collectErrors(nestedValue, nestedSchema, [...segments, key], errors);
+    } else {
+      errors.push(buildError([...segments, key], { validator: 'plainObject' }));
+    }
+  });
+
+  return errors;
+}
+
+
+function collectServerErrors(servers, errors) {
+  servers.forEach((server, index) => {
+    const segments = ['servers', index];
+    if (!isPlainObject(server)) {
+      errors.push(buildError(segments, { validator: 'plainObject' }));
+      return;
+    }
+
+    collectErrors(server, getServerSchema(server), segments, errors);
+
+    const previous = servers.slice(0, index).filter(isPlainObject);
+    if (server.id && !validateUniqueId(previous, server.id)) {
+      errors.push(buildError([...segments, 'id'], {
+        validator: 'uniqueId',
+        msg: 'Duplicated server id.',
+      }));
+    }
+  });
+}
+
+
+function collectTemplateErrors(template, segments, errors) {
+  if (!isPlainObject(template)) {
+    errors.push(buildError(segments, { validator: 'plainObject' }));
+    return errors;
+  }
+
+  collectErrors(template, TEMPLATE_SCHEMA, segments, errors);
+
+  if (isPlainObject(template.server)) {
+    collectErrors(template.server, getServerSchema(template.server), [...segments, 'server'], [])
+      .filter((error) => !TEMPLATE_IGNORED_VALIDATORS.includes(error.validator))
+      .forEach((error) => errors.push(error));
+  }
+
+  return errors;
+}
+
+
+/**
+ * Validates a server template, returning the list of errors found.
+ * The template server is a partial server, no field is required.
+ */
+export function validateTemplate(template) {
+  return collectTemplateErrors(template, [], []);
+}
+
+
+/**
+ * Validates a snippet, returning the list of errors found.
+ */
+export function validateSnippet(snippet) {
+  if (!isPlainObject(snippet)) {
+    return [buildError([], { validator: 'plainObject' })];
+  }
+  return collectErrors(snippet, SNIPPET_SCHEMA, [], []);
+}
+
+
+/**
+ * Validates a single server, returning the list of errors found
+ * with the JSON path of the invalid value inside the server.
+ */
+export function validateServer(server) {
+  if (!isPlainObject(server)) {
+    return [buildError([], { validator: 'plainObject' })];
+  }
+  return collectErrors(server, getServerSchema(server), [], []);
+}
+
+
+/**
+ * Validates a setting value against its definition in config.SETTINGS,
+ * returning the list of errors found.
+ */
+export function validateSetting(key, value, definition) {
+  const rules = [{ validator: Valida.Validator.required }, ...getSettingRules(definition)];
+  return collectErrors({ [key]: value }, { [key]: rules }, [], []);
+}
+
+
+/**
+ * Validates the whole configuration file: top level settings and every server.
+ * Returns the list of errors found, each one with the JSON path of the
+ * invalid value. An empty list means the configuration is valid.
+ */
+export function validate(config) {
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    errors.push(buildError([], { validator: 'plainObject' }));
+    return errors;
+  }
+
+  collectErrors(config, CONFIG_SCHEMA, [], errors);
+
+  if (Array.isArray(config.servers)) {
+    collectServerErrors(config.servers, errors);
+  }
+
+  if (Array.isArray(config.templates)) {
+    config.templates.forEach((template, index) => {
+      collectTemplateErrors(template, ['templates', index], errors);
+
+      const previous = config.templates.slice(0, index).filter(isPlainObject);
+      if (isPlainObject(template) && template.id && !validateUniqueId(previous, template.id)) {
+        errors.push(buildError(['templates', index, 'id'], {
+          validator: 'uniqueId',
+          msg: 'Duplicated template id.',
+        }));
+      }
+    });
+  }
+
+  if (Array.isArray(config.snippets)) {
+    config.snippets.forEach((snippet, index) => {
+      const segments = ['snippets', index];
+      if (!isPlainObject(snippet)) {
+        errors.push(buildError(segments, { validator: 'plainObject' }));
+        return;
+      }
+
+      collectErrors(snippet, SNIPPET_SCHEMA, segments, errors);
+
+      const previous = config.snippets.slice(0, index).filter(isPlainObject);
+      if (snippet.id && !validateUniqueId(previous, snippet.id)) {
+        errors.push(buildError([...segments, 'id'], {
+          validator: 'uniqueId',
+          msg: 'Duplicated snippet id.',
+        }));
+      }
+    });
+  }
+
+  return errors;
+}
@@ -1,5 +1,14 @@
 import Valida from 'valida2';
 import { CLIENTS } from 'sqlectron-db-core';
+import { getSecretFields, getStoreTypes, isReference } from '../secrets';
+import { findInvalidPlaceholder } from '../placeholders';
+import {
+  SSL_MODES, TLS_VERSIONS, getUnsupportedSettings, normalize as normalizeSsl,
+} from '../ssl';
+
+
+// SHA256 fingerprints as printed by OpenSSH, the base64 padding is optional
+const HOST_FINGERPRINT_PATTERN = /^SHA256:[A-Za-z0-9+/]{43}=?$/;
 
 
 function serverAddressValidator(ctx) {
@@ -45,6 +54,13 @@ function boolValidator(ctx, options, value) {
   }
 }
 
+function placeholderValidator(ctx, options, value) {
+  const msg = findInvalidPlaceholder(value);
+  if (msg) {
+    return { validator: 'placeholderValidator', msg };
+  }
+}
+
 function passwordSanitizer(ctx, options, value) {
   if (value === undefined || value === null) {
     return value;
@@ -54,7 +70,12 @@ function passwordSanitizer(ctx, options, value) {
     return Valida.sanitizers.trim(ctx, options, value);
   }
 
+  if (isReference(value)) {
+    return { store: value.store, key: Valida.sanitizers.trim(ctx, options, value.key) };
+  }
+
   return {
+    ...value,
     ivText: Valida.sanitizers.trim(ctx, options, value.ivText),
     encryptedText: Valida.sanitizers.trim(ctx, options, value.encryptedText),
   };
@@ -66,7 +87,18 @@ function passwordValidator(ctx, options, value) {
   }
 
   if (typeof value === 'string') {
-    return Valida.validators.len(ctx, options, value);
+    return Valida.validators.len(ctx, options, value)
+      || placeholderValidator(ctx, options, value);
+  }
+
+  if (isReference(value)) {
+    if (!getStoreTypes().includes(value.store)) {
+      return {
+        validator: 'passwordValidator',
+        msg: 'Invalid secret store.',
+      };
+    }
+    return Valida.validators.len(ctx, options, value.key);
   }
 
   return Valida.validators.len(ctx, options, value.ivText)
@@ -74,10 +106,126 @@ function passwordValidator(ctx, options, value) {
 }
 
 
-const SSH_SCHEMA = {
+/**
+ * Groups are paths of nested folders such as "Production/EU".
+ * Normalizes the spaces around the separators.
+ */
+export function normalizeGroup(group) {
+  if (typeof group !== 'string') { return group; }
+  return group.trim().split('/').map((name) => name.trim()).join('/');
+}
+
+function groupSanitizer(ctx, options, value) {
+  return normalizeGroup(value);
+}
+
+function groupValidator(ctx, options, value) {
+  if (value === undefined || value === null) { return undefined; }
+  if (typeof value !== 'string' || value.split('/').some((name) => !name)) {
+    return {
+      validator: 'groupValidator',
+      msg: 'Invalid group, use folder names separated by "/".',
+    };
+  }
+}
+
+
+function tagsSanitizer(ctx, options, value) {
+  if (!Array.isArray(value)) { return value; }
+  return value.map((tag) => (typeof tag === 'string' ? tag.trim() : tag));
+}
+
+function tagsValidator(ctx, options, value) {
+  if (value === undefined || value === null) { return undefined; }
+  if (!Array.isArray(value) || value.some((tag) => typeof tag !== 'string' || !tag)) {
+    return {
+      validator: 'tagsValidator',
+      msg: 'Invalid tags, use a list of names.',
+    };
+  }
+
+  if (new Set(value).size !== value.length) {
+    return {
+      validator: 'tagsValidator',
+      msg: 'Duplicated tag.',
+    };
+  }
+}
+
+
+function colorValidator(ctx, options, value) {
+  if (value === undefined || value === null) { return undefined; }
+  if (typeof value !== 'string' || !/^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(value)) {
+    return {
+      validator: 'colorValidator',
+      msg: 'Invalid color, use the hex notation such as #d9534f.',
+    };
+  }
+}
+
+
+function sslSanitizer(ctx, options, value) {
+  return normalizeSsl(value);
+}
+
+// the settings the client ignores would give a false sense of security
+function sslClientValidator(ctx, options, value) {
+  const unsupported = getUnsupportedSettings(ctx.obj.client, value);
+  if (unsupported.length) {
+    return {
+      validator: 'sslClientValidator',
+      msg: `Not supported by this client, it only encrypts the connection: ${unsupported.join(', ')}.`,
+    };
+  }
+}
+
+// the client certificate is useless without its key
+function sslCertValidator(ctx) {
+  const { cert, key } = ctx.obj;
+  if (!!cert !== !!key) {
+    return {
+      validator: 'sslCertValidator',
+      msg: 'The client certificate and key are both required.',
+    };
+  }
+}
+
+
+function hostFingerprintValidator(ctx, options, value) {
+  if (value === undefined || value === null) { return undefined; }
+  if (typeof value !== 'string' || !HOST_FINGERPRINT_PATTERN.test(value)) {
+    return {
+      validator: 'hostFingerprintValidator',
+      msg: 'Invalid host fingerprint, use the SHA256 fingerprint printed by ssh-keygen -l.',
+    };
+  }
+}
+
+
+// the keys of the agent are used instead of the private key
+function sshAuthValidator(ctx) {
+  const { agent, privateKey } = ctx.obj;
+  if (agent && privateKey) {
+    return {
+      validator: 'sshAuthValidator',
+      msg: 'Use either the SSH agent or a private key.',
+    };
+  }
+}
+
+
+const SECRET_RULES = [
+  { sanitizer: passwordSanitizer },
+  { validator: passwordValidator, min: 1 },
+];
+
+
+// the settings of each SSH server the tunnel goes through
+const SSH_HOP_SCHEMA = {
   host: [
     { sanitizer: Valida.Sanitizer.trim },
     { validator: Valida.Validator.len, min: 1 },
+    { validator: placeholderValidator },
   ],
   port: [
     { sanitizer: Valida.Sanitizer.toInt },
@@ -87,18 +235,113 @@ const SSH_SCHEMA = {
     { sanitizer: Valida.Sanitizer.trim },
     { validator: Valida.Validator.required },
     { validator: Valida.Validator.len, min: 1 },
-  ],
-  password: [
-    { sanitizer: passwordSanitizer },
-    { validator: passwordValidator, min: 1 },
+    { validator: placeholderValidator },
   ],
   privateKey: [
     { sanitizer: Valida.Sanitizer.trim },
     { validator: Valida.Validator.len, min: 1 },
+    { validator: placeholderValidator },
+    { validator: sshAuthValidator },
+  ],
+  agent: [
+    { validator: boolValidator },
+  ],
+  hostFingerprint: [
+    { sanitizer: Valida.Sanitizer.trim },
+    { validator: hostFingerprintValidator },
   ],
+};
+
+
+const JUMP_HOST_SCHEMA = {
+  ...SSH_HOP_SCHEMA,
+  host: [
+    { sanitizer: Valida.Sanitizer.trim },
+    { validator: Valida.Validator.required },
+    { validator: Valida.Validator.len, min: 1 },
+    { validator: placeholderValidator },
+  ],
+};
+
+
+const SSH_SCHEMA = {
+  ...SSH_HOP_SCHEMA,
   privateKeyWithPassphrase: [
     { validator: boolValidator },
   ],
+  knownHostsFile: [
+    { sanitizer: Valida.Sanitizer.trim },
+    { validator: Valida.Validator.len, min: 1 },
+    { validator: placeholderValidator },
+  ],
+  jumpHosts: [
+    { validator: Valida.Validator.array, msg: 'Invalid jump hosts, use a list of SSH servers.' },
+    { validator: Valida.Validator.schema, schema: JUMP_HOST_SCHEMA },
+  ],
+};
+
+
+const SSL_FILE_RULES = [
+  { sanitizer: Valida.Sanitizer.trim },
+  { validator: Valida.Validator.len, min: 1 },
+  { validator: placeholderValidator },
+];
+
+
+const SSL_SCHEMA = {
+  mode: [
+    { validator: Valida.Validator.required },
+    {
+      validator: Valida.Validator.enum,
+      items: SSL_MODES,
+      msg: `Invalid SSL mode, use one of: ${SSL_MODES.join(', ')}.`,
+    },
+  ],
+  ca: SSL_FILE_RULES,
+  cert: [
+    ...SSL_FILE_RULES,
+    { validator: sslCertValidator },
+  ],
+  key: [
+    ...SSL_FILE_RULES,
+    { validator: sslCertValidator },
+  ],
+  servername: [
+    { sanitizer: Valida.Sanitizer.trim },
+    { validator: Valida.Validator.len, min: 1 },
+  ],
+  minVersion: [
+    {
+      validator: Valida.Validator.enum,
+      items: TLS_VERSIONS,
+      msg: `Invalid TLS version, use one of: ${TLS_VERSIONS.join(', ')}.`,
+    },
+  ],
+};
+
+
+// enforced by the servers created with safety.createServer
+const SAFETY_SCHEMA = {
+  readOnly: [
+    { validator: boolValidator },
+  ],
+  confirmDestructive: [
+    { validator: boolValidator },
+  ],
+  statementTimeout: [
+    { validator: Valida.Validator.integer },
+    { validator: Valida.Validator.range, min: 1 },
+  ],
+  selectLimit: [
+    { validator: Valida.Validator.integer },
+    { validator: Valida.Validator.range, min: 0 },
+  ],
+  production: [
+    { validator: boolValidator },
+  ],
+  color: [
+    { validator: colorValidator },
+  ],
 };
 
 
@@ -114,12 +357,17 @@ const SERVER_SCHEMA = {
     { validator: clientValidator },
   ],
   ssl: [
+    { sanitizer: sslSanitizer },
     { validator: Valida.Validator.required },
+    { validator: Valida.Validator.plainObject },
+    { validator: Valida.Validator.schema, schema: SSL_SCHEMA },
+    { validator: sslClientValidator },
   ],
   host: [
     { sanitizer: Valida.Sanitizer.trim },
     { validator: Valida.Validator.len, min: 1 },
     { validator: serverAddressValidator },
+    { validator: placeholderValidator },
   ],
   port: [
     { sanitizer: Valida.Sanitizer.toInt },
@@ -130,29 +378,40 @@ const SERVER_SCHEMA = {
     { sanitizer: Valida.Sanitizer.trim },
     { validator: Valida.Validator.len, min: 1 },
     { validator: serverAddressValidator },
+    { validator: placeholderValidator },
   ],
   database: [
     { sanitizer: Valida.Sanitizer.trim },
     { validator: Valida.Validator.len, min: 1 },
+    { validator: placeholderValidator },
   ],
   user: [
     { sanitizer: Valida.Sanitizer.trim },
     { validator: Valida.Validator.len, min: 1 },
-  ],
-  password: [
-    { sanitizer: passwordSanitizer },
-    { validator: passwordValidator, min: 1 },
+    { validator: placeholderValidator },
   ],
   ssh: [
     { validator: Valida.Validator.schema, schema: SSH_SCHEMA },
   ],
+  group: [
+    { sanitizer: groupSanitizer },
+    { validator: groupValidator },
+  ],
+  tags: [
+    { sanitizer: tagsSanitizer },
+    { validator: tagsValidator },
+  ],
+  safety: [
+    { validator: Valida.Validator.plainObject },
+    { validator: Valida.Validator.schema, schema: SAFETY_SCHEMA },
+  ],
 };
 
 
 /**
- * validations applied on creating/updating a server
+ * Schema for a server, without the fields its client does not support
  */
-export async function validate(server) {
+export function getSchema(server) {
   const serverSchema = { ...SERVER_SCHEMA };
 
   const clientConfig = CLIENTS.find((dbClient) => dbClient.key === server.client);
@@ -165,7 +424,40 @@ export async function validate(server) {
     });
   }
 
-  const validated = await Valida.process(server, serverSchema);
+  return getSecretFields(server.client)
+    .reduce((schema, path) => addSecretRules(schema, path), serverSchema);
+}
+
+
+// returns a copy of the schema validating the field as a secret, nested fields
+// such as "ssh.password" are added to the schema rule of their parent field,
+// the schema of an array applying to each of its items
+function addSecretRules(schema, path) {
+  const [key, ...rest] = path.split('.');
+  if (key === '*') {
+    return addSecretRules(schema, rest.join('.'));
+  }
+  if (!rest.length) {
+    return { ...schema, [key]: SECRET_RULES };
+  }
+
+  if (!schema[key]) { return schema; }
+  return {
+    ...schema,
+    [key]: schema[key].map((rule) => (
+      rule.validator === Valida.Validator.schema
+        ? { ...rule, schema: addSecretRules(rule.schema, rest.join('.')) }
+        : rule
+    )),
+  };
+}
+
+
+/**
+ * validations applied on creating/updating a server
+ */
+export async function validate(server) {
+  const validated = await Valida.process(server, getSchema(server));
   if (!validated.isValid()) { throw validated.invalidError(); }
 }
 